@@ -0,0 +1,61 @@
+/*
+ *  Filename: benchmark.js
+ *  Compares erase() on a whole drawing with erasing through an EraseIndex.
+ *  Run with: node benchmark.js [strokes] [eraser strokes]
+ */
+
+var erase = require('./erase.js').erase;
+var EraseIndex = require('./spatial_index.js').EraseIndex;
+
+var strokeCount = parseInt(process.argv[2], 10) || 5000,
+  eraserCount = parseInt(process.argv[3], 10) || 50,
+  size = 5000,
+  eraseRadius = 15;
+
+// a small linear congruential generator, so that every run erases the same drawing
+var seed = 1;
+var random = function() {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+
+// a random walk of count points starting somewhere in the drawing
+var randomWalk = function(count, step) {
+  var x = random() * size,
+    y = random() * size,
+    coords = [];
+  for (var i = 0; i < count; i++) {
+    coords.push({ x: x, y: y });
+    x += (random() - 0.5) * step;
+    y += (random() - 0.5) * step;
+  }
+  return coords;
+};
+
+var paths = [],
+  erasePaths = [],
+  i;
+for (i = 0; i < strokeCount; i++) paths.push({ stroke: '#000000', coords: randomWalk(30, 20) });
+for (i = 0; i < eraserCount; i++) erasePaths.push(randomWalk(20, 40));
+
+var points = function(ps) {
+  return JSON.stringify(ps.map(function(p) { return p.coords; }));
+};
+
+console.log('Erasing ' + strokeCount + ' strokes of 30 points with ' + eraserCount + ' eraser strokes of 20 points.');
+
+var start = Date.now(),
+  plain = paths;
+for (i = 0; i < erasePaths.length; i++) plain = erase(plain, erasePaths[i], eraseRadius);
+var plainTime = Date.now() - start;
+console.log('erase():          ' + plainTime + ' ms');
+
+start = Date.now();
+var index = new EraseIndex(paths, { cellSize: 64 });
+var buildTime = Date.now() - start;
+for (i = 0; i < erasePaths.length; i++) index.erase(erasePaths[i], eraseRadius);
+var indexTime = Date.now() - start;
+console.log('EraseIndex:       ' + indexTime + ' ms (' + buildTime + ' ms of it building the index)');
+
+console.log('speedup:          ' + (plainTime / Math.max(1, indexTime)).toFixed(1) + 'x');
+console.log('same result:      ' + (points(plain) === points(index.paths)) + ' (' + plain.length + ' paths)');
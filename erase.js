@@ -18,14 +18,24 @@
   line segment from the origin to (100,100). "{"stroke":"#000000","coords":[{"x":20,"y":10}}" would also be a valid path,
   consisting of a single point at the position (20,10).
 
-  Each individual path is represented as an array of points, with each point being
-  an {x: VALUE, y: VALUE} array. `[{x: 0, y: 0}, {x: 100, y: 100}` is an example of a path consisting of a single
-  line segment from the origin to (100,100). `[{x: 20, y: 10}]` would also be a valid path,
-  consisting of a single point at the position (20,10).
+  Paths can also be given in the array format, `[[0, 0], [100, 100]]`, and are then returned in it. The array format
+  only holds the points: a point that ends a cubic Bézier curve with its control points in c,
+  `{x: 30, y: 0, c: [{x: 10, y: 10}, {x: 20, y: 10}]}`, a loop with `closed: true`, holes and other properties need
+  objects. Input erase() cannot work with throws an EraseInputError before anything is erased.
 
   The eraseRadius is the radius of the imagined circular eraser moved over the canvas.
-  It's the same as half of the stroke width. We will assume for now that the stroke width
-  / radius of the actual paths that are to be erased is zero.
+  It's the same as half of the stroke width. A point of the erasePath can carry a radius of its own in r.
+  An options object can take the place of the eraseRadius, `erase(paths, erasePath, {radius: 10, mode: 'lasso'})`, or
+  follow it. The options, see getEraseOptions:
+    radius, epsilon, minLength, precision, format: the eraser, and how the fragments are cut, kept and returned,
+    strokeMode: where paths with a stroke-width are cut,
+    shape: a convex polygon in place of the round eraser,
+    transform: the matrix from the coordinates of the paths to those of the erasePath,
+    mode, fillRule: 'lasso', 'object' or 'area' mode in place of the brush,
+    crop: keep what is under the eraser instead of what is not,
+    locked: the paths that must not be erased,
+    clone, interpolate: how the fragments and the points where they are cut get their values,
+    record: a function that gets every call as a test case.
 
   NOTE: You cannot include circular references (think DOM refrences that reference themselves at some point)
   inside your paths as they are not compatible with the JSON.stringify method. I would suggest going through 
@@ -33,48 +43,121 @@
 */
 
 // This line is for the automated tests with node.js
-if (typeof(exports) !== 'undefined') exports.erase = erase;
+if (typeof(exports) !== 'undefined') {
+  exports.erase = erase;
+  exports.eraseObjects = eraseObjects;
+  exports.eraseAreas = eraseAreas;
+  exports.eraseChanges = eraseChanges;
+  exports.cleanPath = cleanPath;
+  exports.getPathBounds = getPathBounds;
+  exports.circleEraser = circleEraser;
+  exports.polygonEraser = polygonEraser;
+  exports.rectangleEraser = rectangleEraser;
+  exports.EraseInputError = EraseInputError;
+  exports.getEraseOptions = getEraseOptions;
+  exports.queryErase = queryErase;
+  exports.hitTest = hitTest;
+  exports.readInput = readInput;
+  exports.getEraserRegions = getEraserRegions;
+}
 
-function erase(paths, erasePath, eraseRadius) {
+function erase(paths, erasePath, eraseRadius, options) {
   //var date = new Date();
   //var time1 = date.getMilliseconds();
-  eraseRadius = eraseRadius || 20;
-
-  /*
-  * To get test case: uncomment this block and the block immediately before the return statement.
-  *
-  console.log("erase radius: " + eraseRadius);
-  console.log("erase path:");
-  logPath(erasePath, 1);
-  console.log("paths:");
-  logPaths(paths);
-  */
+  var read = getEraseOptions(eraseRadius, options);
+  if (read.record) return recordErase(erase, paths, erasePath, eraseRadius, options);
+  options = read;
+  eraseRadius = options.radius;
+  var input = readInput(paths, erasePath),
+    format = options.format || (input.arrays ? 'array' : 'object');
+  // the polygons of area mode are closed and can have holes, which the array format cannot hold
+  if (format === 'array' && options.mode === 'area') {
+    throw new EraseInputError('INVALID_OPTION', "area mode cannot return paths in the array format; " +
+      "pass format: 'object'");
+  }
+  if (input.arrays || format !== 'object') {
+    options.format = 'object';
+    var objects = erase(input.paths, input.erasePath, options);
+    return format === 'array' ? toArrayPaths(input.arrays ? paths : [], input.paths, objects) : objects;
+  }
+  paths = input.paths;
+  erasePath = input.erasePath;
+  var strokeMode = options.strokeMode || 'visible',
+    eraser = options.shape || circleEraser(),
+    shape = eraser,
+    clone = options.clone || clonePath,
+    interpolate = options.interpolate || interpolateNearest,
+    lasso = null,
+    eraserLasso = null;
+
+  if (options.mode === 'object') return eraseObjects(paths, erasePath, options).paths;
+  if (options.mode === 'area') return eraseAreas(paths, erasePath, options);
 
   var newPaths = [];
 
+  // addFragment keeps the points coords of path as a new path. from and to are the positions along path where they
+  //   start and end, see getPathPosition, and become the coordRange of the fragment. The points where path was cut
+  //   get the values of the points around them, see setPointValues.
+  var addFragment = function(path, coords, from, to) {
+    var newPath = createNewPath(path, clone);
+    setPointValues(path.coords, coords, from, to, interpolate);
+    newPath.coords = coords;
+    newPath.coordRange = getCoordRange(path, from, to);
+    newPaths.push(newPath);
+  };
+
   // pointErase is for use when erasePath is of length 1.  In this case the erasing element is a circle, not a capsule.
   var pointErase = function(path) {
     var eX = erasePath[0].x,
       eY = erasePath[0].y,
+      r = getStrokeRadius(path, getPointRadius(erasePath[0], eraseRadius), strokeMode),
       i = 0,
       last = 0,
       x;
 
+    // the eraser cannot reach the path
+    if (r <= 0) {
+      newPaths.push(path);
+      return;
+    }
+
     // handle point path
     if (path.coords.length === 1) {
-      if (!withinCircle(path.coords[0].x, path.coords[0].y, eX, eY, eraseRadius)) {
+      if (!withinCircle(path.coords[0].x, path.coords[0].y, eX, eY, r)) {
         newPaths.push(path);
         return;
       }
     }
 
-    var newPath = createNewPath(path);
-    newPath.coords.clear();
-    while (i < path.coords.length - 1) {
-      var p0 = path.coords[i],
-        p1 = path.coords[i + 1],
-        p0_withinCircle = withinCircle(p0.x, p0.y, eX, eY, eraseRadius),
-        p1_withinCircle = withinCircle(p1.x, p1.y, eX, eY, eraseRadius);
+    // the intersection helpers only handle straight segments of paths without width
+    var region = getStrokeRegion(path, circleRegion(eX, eY, r), strokeMode);
+
+    // a path outside the bounding box of the eraser is left as it is
+    if (!boundsOverlap(getPathBounds(path), region.bounds)) {
+      newPaths.push(path);
+      return;
+    }
+
+    if (isCurved(path) || region.directional) {
+      regionErase(path, region);
+      return;
+    }
+
+    // the intersection points replace points of the path as it is worked through, so work on a copy: the caller's
+    //   path must not change
+    var coords = path.coords.slice(),
+      fragment;
+    while (i < coords.length - 1) {
+      // a segment outside the bounding box of the eraser has both points outside of it and no intersections
+      if (segmentOutsideBounds(coords[i], coords[i + 1], region.bounds)) {
+        i++;
+        continue;
+      }
+
+      var p0 = coords[i],
+        p1 = coords[i + 1],
+        p0_withinCircle = withinCircle(p0.x, p0.y, eX, eY, r),
+        p1_withinCircle = withinCircle(p1.x, p1.y, eX, eY, r);
 
       // if both points are in the erase area, the first point does not contribute to a new path and can be ignored
       if (p0_withinCircle && p1_withinCircle) last = ++i;
@@ -83,9 +166,9 @@ function erase(paths, erasePath, eraseRadius) {
       //   between the segment p0->p1 and the border of the erase area. Erasing can continue from there as if the intersection 
       //   was the first point in the path.
       else if (p0_withinCircle && !p1_withinCircle) {
-        x = getCircleIntersection(p0.x, p0.y, p1.x, p1.y, eX, eY, eraseRadius);
+        x = getCircleIntersection(p0.x, p0.y, p1.x, p1.y, eX, eY, r);
         if (x) {
-          path.coords[i] = x;
+          coords[i] = x;
           last = i;
         } else i++;
       }
@@ -93,71 +176,111 @@ function erase(paths, erasePath, eraseRadius) {
       // If p0 is outside the erase area, and p1 is inside, then all points before and including p0 and the point of intersection
       //   contribute to a new path.  Processing then continues at p1.
       else if (!p0_withinCircle && p1_withinCircle) {
-        x = getCircleIntersection(p1.x, p1.y, p0.x, p0.y, eX, eY, eraseRadius);
+        x = getCircleIntersection(p1.x, p1.y, p0.x, p0.y, eX, eY, r);
         if (x) {
-          newPath.coords = path.coords.slice(last, i + 1);
-          newPath.coords.push(x);
-          newPaths.push(createNewPath(newPath));
+          fragment = coords.slice(last, i + 1);
+          fragment.push(x);
+          addFragment(path, fragment, getPathPosition(path.coords, last, coords[last]), getPathPosition(path.coords, i, x));
         }
         last = ++i;
       } else {
         // Neither p0 or p1 is in the erase area, so there may or may not be a pair of intersections.
-        var possIntersects = getCircleIntersections(p0.x, p0.y, p1.x, p1.y, eX, eY, eraseRadius);
+        var possIntersects = getCircleIntersections(p0.x, p0.y, p1.x, p1.y, eX, eY, r, options.epsilon);
         if (possIntersects) {
           // create a new path that goes from the beginning of our current path
           // to the intersection point
-          newPath.coords = path.coords.slice(last, i + 1);
+          fragment = coords.slice(last, i + 1);
 
           // only add the intersection point if it is not identical to the last
           // point in the path
-          if (newPath.coords[newPath.coords.length - 1].x !== possIntersects[0].x ||
-            newPath.coords[newPath.coords.length - 1].y !== possIntersects[0].y) newPath.coords.push(possIntersects[0]);
+          if (fragment[fragment.length - 1].x !== possIntersects[0].x ||
+            fragment[fragment.length - 1].y !== possIntersects[0].y) fragment.push(possIntersects[0]);
 
           // we only want paths with length > 1
-          if (newPath.coords.length > 1) newPaths.push(createNewPath(newPath));
+          if (fragment.length > 1) {
+            addFragment(path, fragment, getPathPosition(path.coords, last, coords[last]), getPathPosition(path.coords, i, possIntersects[0]));
+          }
 
           // we will put the second intersection point into the current position
           // of our path, but only if it is not identical to the next point in
           // the path (we don't need duplicate points)
-          path.coords[i] = possIntersects[1];
-          if (path.coords[i + 1] && path.coords[i + 1].x === possIntersects[1].x && path.coords[i + 1].y === possIntersects[1].y) i++;
+          coords[i] = possIntersects[1];
+          if (coords[i + 1] && coords[i + 1].x === possIntersects[1].x && coords[i + 1].y === possIntersects[1].y) i++;
           last = i;
         } else i++;
       }
     }
     // the remaining points are assembled into a new path
     if (last !== i) {
-      newPath.coords = path.coords.slice(last, path.coords.length);
-      if (newPath.coords.length > 0) newPaths.push(newPath);
+      fragment = coords.slice(last, coords.length);
+      if (fragment.length > 0) addFragment(path, fragment, getPathPosition(path.coords, last, coords[last]), coords.length - 1);
     }
   }; // end pointErase
 
   // If the erasePath has a length greater than one, then each successive pair of coordinate pairs can be used to form a capsule-
-  //   shape along with the eraseRadius.  Each capsule in the erasePath can act independently of each other.
+  //   shape along with the r.  Each capsule in the erasePath can act independently of each other.
   var capsuleErase = function(path, eraseIndex) {
     var e0 = erasePath[eraseIndex],
       e1 = erasePath[eraseIndex + 1],
+      r = getStrokeRadius(path, getPointRadius(e0, eraseRadius), strokeMode),
+      r1 = getStrokeRadius(path, getPointRadius(e1, eraseRadius), strokeMode),
       i = 0,
       last = 0,
       p0_locationIndex,
       x;
 
+    // the eraser cannot reach the path
+    if (r <= 0 && r1 <= 0) {
+      newPaths.push(path);
+      return;
+    }
+
+    // the intersection helpers only handle capsules of the same radius at both ends
+    if (r !== r1) {
+      var tapered = getStrokeRegion(path, taperedCapsuleRegion(e0.x, e0.y, Math.max(0, r), e1.x, e1.y, Math.max(0, r1)), strokeMode);
+      if (boundsOverlap(getPathBounds(path), tapered.bounds)) regionErase(path, tapered);
+      else newPaths.push(path);
+      return;
+    }
+
     // handle point path
     if (path.coords.length === 1) {
-      p0_locationIndex = withinCapsule(path.coords[0].x, path.coords[0].y, e0.x, e0.y, e1.x, e1.y, eraseRadius);
+      p0_locationIndex = withinCapsule(path.coords[0].x, path.coords[0].y, e0.x, e0.y, e1.x, e1.y, r);
       if (p0_locationIndex.indexOf(1) === -1) {
         newPaths.push(path);
         return;
       }
     }
 
-    var newPath = createNewPath(path);
-    newPath.coords.clear();
-    while (i < path.coords.length - 1) {
-      var p0 = path.coords[i],
-        p1 = path.coords[i + 1],
-        p1_locationIndex = withinCapsule(p1.x, p1.y, e0.x, e0.y, e1.x, e1.y, eraseRadius);
-      p0_locationIndex = withinCapsule(p0.x, p0.y, e0.x, e0.y, e1.x, e1.y, eraseRadius);
+    // the intersection helpers only handle straight segments of paths without width
+    var region = getStrokeRegion(path, capsuleRegion(e0.x, e0.y, e1.x, e1.y, r), strokeMode);
+
+    // a path outside the bounding box of the eraser is left as it is
+    if (!boundsOverlap(getPathBounds(path), region.bounds)) {
+      newPaths.push(path);
+      return;
+    }
+
+    if (isCurved(path) || region.directional) {
+      regionErase(path, region);
+      return;
+    }
+
+    // the intersection points replace points of the path as it is worked through, so work on a copy: the caller's
+    //   path must not change
+    var coords = path.coords.slice(),
+      fragment;
+    while (i < coords.length - 1) {
+      // a segment outside the bounding box of the eraser has both points outside of it and no intersections
+      if (segmentOutsideBounds(coords[i], coords[i + 1], region.bounds)) {
+        i++;
+        continue;
+      }
+
+      var p0 = coords[i],
+        p1 = coords[i + 1],
+        p1_locationIndex = withinCapsule(p1.x, p1.y, e0.x, e0.y, e1.x, e1.y, r);
+      p0_locationIndex = withinCapsule(p0.x, p0.y, e0.x, e0.y, e1.x, e1.y, r);
 
       // if both points are in the erase area, the first point does not contribute to a new path and can be ignored
       if (p0_locationIndex.indexOf(1) !== -1 && p1_locationIndex.indexOf(1) !== -1) last = ++i;
@@ -166,9 +289,9 @@ function erase(paths, erasePath, eraseRadius) {
       //   between the segment p0->p1 and the border of the erase area. Erasing can continue from there as if the intersection 
       //   was the first point in the path.
       else if (p0_locationIndex.indexOf(1) !== -1 && p1_locationIndex.indexOf(1) === -1) {
-        x = getCapsuleIntersection(p0.x, p0.y, p0_locationIndex, p1.x, p1.y, e0.x, e0.y, e1.x, e1.y, eraseRadius);
+        x = getCapsuleIntersection(p0.x, p0.y, p0_locationIndex, p1.x, p1.y, e0.x, e0.y, e1.x, e1.y, r, options.epsilon);
         if (x) {
-          path.coords[i] = x;
+          coords[i] = x;
           last = i;
         } else i++;
       }
@@ -176,75 +299,200 @@ function erase(paths, erasePath, eraseRadius) {
       // If p0 is outside the erase area, and p1 is inside, then all points before and including p0 and the point of intersection
       //   contribute to a new path.  Processing then continues at p1.
       else if (p0_locationIndex.indexOf(1) === -1 && p1_locationIndex.indexOf(1) !== -1) {
-        x = getCapsuleIntersection(p1.x, p1.y, p1_locationIndex, p0.x, p0.y, e0.x, e0.y, e1.x, e1.y, eraseRadius);
+        x = getCapsuleIntersection(p1.x, p1.y, p1_locationIndex, p0.x, p0.y, e0.x, e0.y, e1.x, e1.y, r, options.epsilon);
         if (x) {
-          newPath.coords = path.coords.slice(last, i + 1);
-          newPath.coords.push(x);
-          newPaths.push(createNewPath(newPath));
+          fragment = coords.slice(last, i + 1);
+          fragment.push(x);
+          addFragment(path, fragment, getPathPosition(path.coords, last, coords[last]), getPathPosition(path.coords, i, x));
           last = ++i;
         } else i++;
       } else {
         // Neither p0 or p1 is in the erase area, so there may or may not be a pair of intersections.
-        var possIntersects = getCapsuleIntersections(p0.x, p0.y, p1.x, p1.y, e0.x, e0.y, e1.x, e1.y, eraseRadius);
+        var possIntersects = getCapsuleIntersections(p0.x, p0.y, p1.x, p1.y, e0.x, e0.y, e1.x, e1.y, r, options.epsilon);
         if (possIntersects) {
           // create a new path that goes from the beginning of our current path
           // to the intersection point
-          newPath.coords = path.coords.slice(last, i + 1);
+          fragment = coords.slice(last, i + 1);
 
           // only add the intersection point if it is not identical to the last
           // point in the path
-          if (newPath.coords[newPath.coords.length - 1].x !== possIntersects[0].x ||
-            newPath.coords[newPath.coords.length - 1].y !== possIntersects[0].y) newPath.coords.push(possIntersects[0]);
+          if (fragment[fragment.length - 1].x !== possIntersects[0].x ||
+            fragment[fragment.length - 1].y !== possIntersects[0].y) fragment.push(possIntersects[0]);
 
           // we only want paths with length > 1
-          if (newPath.coords.length > 1) newPaths.push(createNewPath(newPath));
+          if (fragment.length > 1) {
+            addFragment(path, fragment, getPathPosition(path.coords, last, coords[last]), getPathPosition(path.coords, i, possIntersects[0]));
+          }
 
 
           // we will put the second intersection point into the current position
           // of our path, but only if it is not identical to the next point in
           // the path (we don't need duplicate points)
-          path.coords[i] = possIntersects[1];
-          if (path.coords[i + 1] && path.coords[i + 1].x === possIntersects[1].x && path.coords[i + 1].y === possIntersects[1].y) i++;
+          coords[i] = possIntersects[1];
+          if (coords[i + 1] && coords[i + 1].x === possIntersects[1].x && coords[i + 1].y === possIntersects[1].y) i++;
           last = i;
         } else i++;
       }
     }
     // assemble the remaining points into a new path
     if (last !== i) {
-      newPath.coords = path.coords.slice(last, path.coords.length);
-      if (newPath.coords.length > 0) newPaths.push(createNewPath(newPath));
+      fragment = coords.slice(last, coords.length);
+      if (fragment.length > 0) addFragment(path, fragment, getPathPosition(path.coords, last, coords[last]), coords.length - 1);
     }
   }; // end capsuleErase
 
+  // regionErase is for use with paths that contain curves, which pointErase and capsuleErase hand over to it.
+  //   Every segment is cut where it enters or leaves the region, and the parts outside of the region are assembled
+  //   into new paths. Cut curves stay curves: the surviving parts are split off with getSegmentPiece.
+  //   With keepInside set it is the other way around, and the parts inside the region are kept.
+  var regionErase = function(path, region, keepInside) {
+    var coords = path.coords,
+      fragment = null,
+      from,
+      to;
+
+    var closeFragment = function() {
+      if (fragment && fragment.length > 1) addFragment(path, fragment, from, to);
+      fragment = null;
+    };
+
+    // handle point path
+    if (coords.length === 1) {
+      if (!region.contains(coords[0].x, coords[0].y) === !keepInside) newPaths.push(path);
+      return;
+    }
+
+    for (var i = 0; i < coords.length - 1; i++) {
+      var kept = getOutsideIntervals(coords[i], coords[i + 1], region);
+      if (keepInside) kept = getInsideIntervals(kept);
+      for (var k = 0; k < kept.length; k++) {
+        var a = kept[k][0],
+          b = kept[k][1];
+        // a part that starts at the beginning of the segment continues the current fragment
+        if (a > 0 || !fragment) {
+          closeFragment();
+          fragment = [a > 0 ? getSegmentPoint(coords[i], coords[i + 1], a) : coords[i]];
+          from = i + a;
+        }
+        fragment.push(getSegmentPiece(coords[i], coords[i + 1], a, b));
+        to = i + b;
+        if (b < 1) closeFragment();
+      }
+      if (!kept.length) closeFragment();
+    }
+    closeFragment();
+  }; // end regionErase
+
+  // closedErase is for closed paths. They are erased as the open path that runs on through the closing segment back
+  //   to the first point, and the fragments at both ends are joined again if they still meet at that point.
+  var closedErase = function(path, eraseOpen) {
+    var start = newPaths.length,
+      open = createNewPath(path, clone);
+    open.coords = getClosedCoords(path);
+    delete open.closed;
+    eraseOpen(open);
+
+    var fragments = newPaths.splice(start, newPaths.length - start);
+    if (fragments.length === 1 && samePoints(fragments[0].coords, open.coords)) {
+      newPaths.push(path);
+      return;
+    }
+    if (fragments.length > 1) {
+      var first = fragments[0],
+        last = fragments[fragments.length - 1],
+        seam = open.coords[0],
+        end = last.coords[last.coords.length - 1];
+      if (first.coords[0].x === seam.x && first.coords[0].y === seam.y && end.x === seam.x && end.y === seam.y) {
+        last.coords = last.coords.concat(first.coords.slice(1));
+        last.coordRange = [last.coordRange[0], last.coordRange[1] + first.coordRange[1] - first.coordRange[0]];
+        fragments.shift();
+      }
+    }
+    for (var f = 0; f < fragments.length; f++) newPaths.push(fragments[f]);
+  }; // end closedErase
+
+  // shapeErase is for eraser shapes other than the circle. The path is cut with the region the shape sweeps over
+  //   from e0 to e1, or only covers at e0 if there is no e1.
+  var shapeErase = function(path, e0, e1) {
+    var region = shape.getRegion(e0, getPointRadius(e0, eraseRadius), e1, e1 && getPointRadius(e1, eraseRadius), eraseRadius);
+    region = getShapeStrokeRegion(path, region, strokeMode);
+    if (boundsOverlap(getPathBounds(path), region.bounds)) regionErase(path, region);
+    else newPaths.push(path);
+  };
+
+  // cropPath keeps only what is inside the whole eraser, the union of the regions its parts cut the path with, or inside
+  //   the lasso. The regions are the same as when erasing, so cropping keeps exactly what erasing would remove.
+  var cropPath = function(path) {
+    var parts = [];
+    if (lasso) parts.push(lasso);
+    for (var k = 0; !lasso && k < Math.max(1, erasePath.length - 1); k++) {
+      var e0 = erasePath[k],
+        e1 = erasePath[k + 1];
+      if (!shape.round) {
+        var region = shape.getRegion(e0, getPointRadius(e0, eraseRadius), e1, e1 && getPointRadius(e1, eraseRadius), eraseRadius);
+        parts.push(getShapeStrokeRegion(path, region, strokeMode));
+        continue;
+      }
+      var r0 = getStrokeRadius(path, getPointRadius(e0, eraseRadius), strokeMode),
+        r1 = e1 && getStrokeRadius(path, getPointRadius(e1, eraseRadius), strokeMode);
+      if (r0 <= 0 && !(r1 > 0)) continue;
+      parts.push(getStrokeRegion(path, shape.getRegion(e0, r0, e1, r1), strokeMode));
+    }
+    var union = unionRegion(parts);
+    if (union && boundsOverlap(getPathBounds(path), union.bounds)) regionErase(path, union, true);
+  };
+
+  // erases a path with the part of the eraser path at e, or with the whole lasso, or crops it to the whole eraser
+  var erasePart = function(path) {
+    if (options.crop) cropPath(path);
+    else if (lasso) {
+      if (boundsOverlap(getPathBounds(path), lasso.bounds)) regionErase(path, lasso);
+      else newPaths.push(path);
+    } else if (!shape.round) shapeErase(path, erasePath[e], erasePath[e + 1]);
+    else if (erasePath.length === 1) pointErase(path);
+    else capsuleErase(path, e);
+  };
+
   erasePath = cleanPath(erasePath);
-  var p;
-  if (erasePath.length === 1) {
-    for (p = 0; p < paths.length; p++) pointErase(paths[p]);
-    paths = newPaths;
-  } else {
-    for (var e = 0; e < erasePath.length - 1; e++) {
-      for (p = 0; p < paths.length; p++) capsuleErase(paths[p], e);
-      paths = newPaths;
+  if (options.mode === 'lasso') eraserLasso = lassoRegion(erasePath, options.fillRule === 'evenodd');
+  var eraserPath = erasePath,
+    eraserRadius = eraseRadius;
+  // every path is erased by all parts of the eraser path in turn, each part cutting what the parts before it left
+  var result = [];
+  for (var p = 0; p < paths.length; p++) {
+    if (isLocked(paths[p], options.locked)) {
+      result.push(paths[p]);
+      continue;
+    }
+    var fragments = [paths[p]],
+      transform = getPathTransform(paths[p], options.transform),
+      local = transform ? getLocalEraser(eraserPath, eraserRadius, eraser, transform) : null;
+    // a path with a transform is erased in its own coordinates, with the eraser mapped into them
+    erasePath = local ? local.erasePath : eraserPath;
+    eraseRadius = local ? local.eraseRadius : eraserRadius;
+    shape = local ? local.shape : eraser;
+    lasso = transform && eraserLasso ? transformRegion(eraserLasso, transform) : eraserLasso;
+    for (var e = 0; e < (lasso || options.crop ? 1 : Math.max(1, erasePath.length - 1)); e++) {
+      for (var f = 0; f < fragments.length; f++) {
+        if (fragments[f].closed) closedErase(fragments[f], erasePart);
+        else erasePart(fragments[f]);
+      }
+      fragments = newPaths;
       newPaths = [];
     }
+
+    // drop the fragments that are too short and round the coordinates of the others, see getEraseOptions
+    var kept = [];
+    for (f = 0; f < fragments.length; f++) {
+      if (fragments[f] !== paths[p] && options.minLength && getPathLength(fragments[f]) < options.minLength) continue;
+      if (fragments[f] !== paths[p] && options.precision !== undefined) roundPath(fragments[f], options.precision);
+      kept.push(fragments[f]);
+    }
+    setLineage(paths[p], kept);
+    for (f = 0; f < kept.length; f++) result.push(kept[f]);
   } // end main
+  paths = result;
 
-  // round all coordinates
-  // for (var r = 0; r < paths.length; r++) {
-  //  for (var rr = 0; rr < paths[r].coords.length; rr++) {
-  //    paths[r].coords[rr].x = Math.round(paths[r].coords[rr].x);
-  //    paths[r].coords[rr].y = Math.round(paths[r].coords[rr].y);
-  //  }
-  // }
-
-  /*
-  * To get test case: uncomment this block and the block at the top of erase().
-  *
-  console.log("erase path (cleaned):");
-  logPath(erasePath, 1);
-  console.log("paths:");
-  logPaths(paths);
-  */
   //var time2 = date.getMilliseconds();
   //var deltaT = time2 - time1;
   //console.log(deltaT);
@@ -253,22 +501,602 @@ function erase(paths, erasePath, eraseRadius) {
   return paths;
 } // end erase
 
+/**
+  eraseObjects is the stroke eraser of note-taking apps: instead of cutting the paths, every path the eraser touches
+  is removed as a whole. It takes the same arguments as erase() and uses the same hit tests, so a path is removed
+  exactly when erase() would have cut something off it. `erase(paths, erasePath, eraseRadius, {mode: 'object'})`
+  does the same, but only returns the paths that are left.
+
+  Returns an object: {paths: the paths that were not touched, removed: the indices in paths of those that were,
+  locked: the indices of the locked paths that were touched but kept, see getEraseOptions}.
+  The paths that are left are the same objects that were passed in, in either format. With options.crop it is the other way around:
+  only the paths the eraser touches are kept.
+*/
+function eraseObjects(paths, erasePath, eraseRadius, options) {
+  var input = readInput(paths, erasePath);
+  options = getEraseOptions(eraseRadius, options);
+  eraseRadius = options.radius;
+  var shape = options.shape || circleEraser(),
+    kept = [],
+    removed = [],
+    locked = [],
+    eraserLasso = null;
+
+  erasePath = cleanPath(input.erasePath);
+  if (options.mode === 'lasso') eraserLasso = lassoRegion(erasePath, options.fillRule === 'evenodd');
+  for (var p = 0; p < paths.length; p++) {
+    var path = input.paths[p],
+      transform = getPathTransform(path, options.transform),
+      local = transform ? getLocalEraser(erasePath, eraseRadius, shape, transform) : { erasePath: erasePath, eraseRadius: eraseRadius, shape: shape },
+      lasso = transform && eraserLasso ? transformRegion(eraserLasso, transform) : eraserLasso,
+      touched = touchesEraser(path, local, lasso, options);
+    if (isLocked(path, options.locked)) {
+      if (touched) locked.push(p);
+      kept.push(paths[p]);
+    } else if (touched !== !!options.crop) removed.push(p);
+    else kept.push(paths[p]);
+  }
+  return { paths: kept, removed: removed, locked: locked };
+} // end eraseObjects
+
+/**
+  eraseAreas is the eraser for filled shapes, used by `erase(paths, erasePath, eraseRadius, {mode: 'area'})`.
+  Every path is taken as the filled polygon its points enclose, whether it is closed or not, with holes in it if it
+  has a holes property: an array of point arrays, each the outline of a hole. The path's "fill-rule" ('nonzero', the
+  default, or 'evenodd') decides what is inside. The region the eraser sweeps over, the union of the same circle or
+  capsules erase() cuts strokes with, is cut out of the polygons.
+
+  Returns the polygons that are left, as closed paths with their outline in coords and the outlines of their holes in
+  holes, if there are any. Outlines and holes run in opposite directions, so the result fills the same with either
+  fill rule. Polygons the eraser does not reach are returned as the objects that were passed in.
+
+  The round ends of the eraser are drawn as polygons that stay within options.tolerance of the circle (eraseRadius / 100
+  if not given), and curves in the paths are followed as closely. Points of the erasePath can have radii of their own,
+  as with erase(), and options.shape can give another eraser shape. With options.crop only the parts of the polygons
+  inside the eraser are kept.
+*/
+function eraseAreas(paths, erasePath, eraseRadius, options) {
+  var input = readInput(paths, erasePath);
+  options = getEraseOptions(eraseRadius, options);
+  eraseRadius = options.radius;
+  if (input.arrays) return toArrayPaths(paths, input.paths, eraseAreas(input.paths, input.erasePath, options));
+  var tolerance = options.tolerance || eraseRadius / 100,
+    shape = options.shape || circleEraser(),
+    erasers = [],
+    e;
+
+  erasePath = cleanPath(erasePath);
+  for (e = 0; e < Math.max(1, erasePath.length - 1); e++) {
+    var e0 = erasePath[e],
+      e1 = erasePath[e + 1];
+    erasers.push(shape.getPolygon(e0, getPointRadius(e0, eraseRadius), e1, e1 && getPointRadius(e1, eraseRadius), eraseRadius, tolerance));
+  }
+
+  // cropping keeps what is inside any part of the eraser, so all of them are cut out at once
+  if (options.crop) erasers = [erasers];
+  else erasers = erasers.map(function(eraser) { return [eraser]; });
+
+  // like the capsules of erase(), every part of the eraser cuts what the parts before it left
+  var bounds = erasers.map(function(eraser) { return getPathBounds({ coords: [].concat.apply([], eraser) }); }),
+    result = [];
+  for (var p = 0; p < paths.length; p++) {
+    if (isLocked(paths[p], options.locked)) {
+      result.push(paths[p]);
+      continue;
+    }
+    var fragments = [paths[p]],
+      transform = getPathTransform(paths[p], options.transform),
+      pathErasers = erasers,
+      pathBounds = bounds;
+    // a path with a transform is cut with the polygons of the eraser mapped into its own coordinates
+    if (transform) {
+      var inverse = invertTransform(transform);
+      pathErasers = erasers.map(function(eraser) {
+        return eraser.map(function(polygon) { return transformPolygon(polygon, inverse); });
+      });
+      pathBounds = pathErasers.map(function(eraser) { return getPathBounds({ coords: [].concat.apply([], eraser) }); });
+    }
+    for (e = 0; e < erasers.length; e++) {
+      var newPaths = [];
+      for (var f = 0; f < fragments.length; f++) {
+        var path = fragments[f],
+          polygons = null;
+        if (boundsOverlap(getPathBounds(path), pathBounds[e])) {
+          polygons = subtractPolygon(getAreaRings(path, tolerance), path['fill-rule'] === 'evenodd', pathErasers[e], options.crop);
+        } else if (options.crop) polygons = [];
+        if (!polygons) {
+          newPaths.push(path);
+          continue;
+        }
+        for (var n = 0; n < polygons.length; n++) {
+          var newPath = createNewPath(path, options.clone);
+          newPath.coords = polygons[n].coords;
+          newPath.closed = true;
+          if (polygons[n].holes.length) newPath.holes = polygons[n].holes;
+          else delete newPath.holes;
+          // the outlines are new, they do not follow the points of the path
+          delete newPath.coordRange;
+          if (options.precision !== undefined) roundPath(newPath, options.precision);
+          newPaths.push(newPath);
+        }
+      }
+      fragments = newPaths;
+    }
+    setLineage(paths[p], fragments);
+    for (f = 0; f < fragments.length; f++) result.push(fragments[f]);
+  }
+  return result;
+} // end eraseAreas
+
+/**
+  eraseChanges takes the same arguments as erase() and erases the same way, but instead of only the resulting paths
+  it returns a change set that says what happened to each of the paths passed in:
+  {
+    paths: the resulting paths, the same as erase() returns,
+    unchanged: the indices of the paths the eraser did not touch,
+    deleted: the indices of the paths that were erased completely,
+    replaced: [{source: index, id: the id of the path if it has one, fragments: the paths that are left of it}],
+    locked: the indices of the locked paths the eraser touched, see getEraseOptions, which are among the unchanged
+  }
+  Every fragment carries the index of the path it came from in source as well. The unchanged paths appear in
+  paths as the objects that were passed in, and neither erase() nor eraseChanges() change the paths passed in.
+*/
+function eraseChanges(paths, erasePath, eraseRadius, options) {
+  var read = getEraseOptions(eraseRadius, options);
+  if (read.record) return recordErase(eraseChanges, paths, erasePath, eraseRadius, options);
+  options = read;
+  var input = readInput(paths, erasePath),
+    changes = { paths: [], unchanged: [], deleted: [], replaced: [], locked: [] };
+  // the paths are compared with the objects erase() returns, whatever format was asked for
+  options.format = 'object';
+
+  // paths in the array format are erased as objects, and the paths and fragments turned back into arrays
+  if (input.arrays) {
+    if (options.mode === 'area') {
+      throw new EraseInputError('INVALID_OPTION', 'area mode cannot return paths in the array format; pass them as objects');
+    }
+    changes = eraseChanges(input.paths, input.erasePath, options);
+    var results = changes.paths,
+      arrays = new Map();
+    changes.paths = toArrayPaths(paths, input.paths, results);
+    for (var a = 0; a < results.length; a++) arrays.set(results[a], changes.paths[a]);
+    for (a = 0; a < changes.replaced.length; a++) {
+      changes.replaced[a].fragments = changes.replaced[a].fragments.map(function(fragment) { return arrays.get(fragment); });
+    }
+    return changes;
+  }
+
+  if (options.mode === 'object') {
+    var objects = eraseObjects(paths, erasePath, options),
+      removed = objects.removed;
+    changes.locked = objects.locked;
+    for (var o = 0; o < paths.length; o++) {
+      if (removed.indexOf(o) !== -1) changes.deleted.push(o);
+      else {
+        changes.unchanged.push(o);
+        changes.paths.push(paths[o]);
+      }
+    }
+    return changes;
+  }
+
+  // locked paths are not erased, only hit tested to find out whether the eraser touched them
+  var lockedPaths = [],
+    lockedIndices = [],
+    isPathLocked = paths.map(function(path) { return isLocked(path, options.locked); });
+  for (var l = 0; l < paths.length; l++) {
+    if (!isPathLocked[l]) continue;
+    lockedPaths.push(paths[l]);
+    lockedIndices.push(l);
+  }
+  if (lockedPaths.length > 0) {
+    changes.locked = eraseObjects(lockedPaths, erasePath, options).locked.map(function(i) { return lockedIndices[i]; });
+  }
+
+  // every path is erased on its own, so that it is known which fragments come from which path
+  for (var p = 0; p < paths.length; p++) {
+    if (isPathLocked[p]) {
+      changes.unchanged.push(p);
+      changes.paths.push(paths[p]);
+      continue;
+    }
+    var fragments = erase([paths[p]], erasePath, options),
+      kept = fragments.length === 1 && (fragments[0] === paths[p] ||
+        !fragments[0].closed === !paths[p].closed && samePoints(fragments[0].coords, paths[p].coords));
+    if (kept) {
+      changes.unchanged.push(p);
+      changes.paths.push(paths[p]);
+    } else if (fragments.length === 0) changes.deleted.push(p);
+    else {
+      for (var f = 0; f < fragments.length; f++) {
+        fragments[f].source = p;
+        changes.paths.push(fragments[f]);
+      }
+      var replacement = { source: p };
+      if (paths[p].id !== undefined) replacement.id = paths[p].id;
+      replacement.fragments = fragments;
+      changes.replaced.push(replacement);
+    }
+  }
+  return changes;
+} // end eraseChanges
+
+/**
+  queryErase takes the same arguments as erase() and tells what erase() would remove, without changing anything: for
+  hover highlighting, or to draw the parts of the paths under the eraser in a ghost style before the stroke is done.
+  It returns an entry for every path erase() would cut or delete, in the order of the paths:
+  {
+    index: the index of the path in paths,
+    id: the id of the path, if it has one,
+    intervals: the [from, to] parts of the path that would be removed, as positions along its points like the
+      coordRange of a fragment: 2.5 is halfway between the third and the fourth point. For a closed path, positions past
+      the last point continue with its first point. In area mode there are none, null, as the polygons that are cut
+      out do not follow the points of the path,
+    pieces: the parts that would be removed, as paths in the object format that can be drawn
+  }
+  The paths are those eraseChanges() finds changed, and the pieces what crop keeps of them (see getEraseOptions), as
+  it keeps exactly what erasing removes, cut at the same points. In object mode a path the eraser touches is removed whole, from
+  its first point to its last. options.minLength and options.precision do not apply, so that the intervals are where
+  the path would be cut.
+*/
+function queryErase(paths, erasePath, eraseRadius, options) {
+  var input = readInput(paths, erasePath),
+    hits = [];
+  options = getEraseOptions(eraseRadius, options);
+  options.format = 'object';
+  delete options.record;
+  delete options.crop;
+  delete options.minLength;
+  delete options.precision;
+  var changes = eraseChanges(input.paths, input.erasePath, options),
+    changed = changes.deleted.concat(changes.replaced.map(function(replacement) { return replacement.source; }));
+  changed.sort(function(a, b) { return a - b; });
+  options.crop = true;
+
+  for (var c = 0; c < changed.length; c++) {
+    var p = changed[c],
+      path = input.paths[p],
+      end = path.closed ? path.coords.length : path.coords.length - 1,
+      bare = {};
+    // the intervals are along the points of this path, not of the path it may have been cut from
+    for (var key in path) {
+      if (key !== 'coordRange' && key !== 'parentId') bare[key] = path[key];
+    }
+    var pieces = erase([bare], input.erasePath, options),
+      hit = { index: p };
+    if (path.id !== undefined) hit.id = path.id;
+    hit.intervals = options.mode === 'area' ? null : pieces.map(function(piece) {
+      return piece === bare ? [0, end] : piece.coordRange;
+    });
+    hit.pieces = pieces.map(function(piece) { return piece === bare ? path : piece; });
+    hits.push(hit);
+  }
+  return hits;
+} // end queryErase
+
+/**
+  hitTest takes paths, a point and the arguments of erase() after the erasePath.
+  Returns the indices of the paths the eraser touches at the point, in the order of the paths, the same paths erase()
+  would cut at the point. The last of them is the one drawn on top.
+*/
+function hitTest(paths, point, eraseRadius, options) {
+  options = getEraseOptions(eraseRadius, options);
+  delete options.crop;
+  return eraseObjects(paths, [point], options).removed;
+}
+
+/**
+  getEraserRegions takes an erasePath and the arguments of erase() after it.
+  Returns the regions erase() cuts a path with one after the other, for a path of straight segments without a stroke
+  width or a transform of its own: one for every part of the erasePath, or the lasso in lasso mode, in the coordinates
+  of the paths if options.transform is given. Every region has contains(x, y), bounds and outsideIntervals(p0, p1),
+  the parts of a straight segment outside of it, see getOutsideIntervals. Parts of a round eraser without a radius
+  cut nothing and are left out. Throws an EraseInputError for an erasePath or options erase() cannot work with.
+*/
+function getEraserRegions(erasePath, eraseRadius, options) {
+  options = getEraseOptions(eraseRadius, options);
+  erasePath = cleanPath(readInput([], erasePath).erasePath);
+  var m = options.transform,
+    shape = options.shape || circleEraser(),
+    radius = options.radius,
+    regions = [];
+  if (options.mode === 'lasso') {
+    var lasso = lassoRegion(erasePath, options.fillRule === 'evenodd');
+    return [m ? transformRegion(lasso, m) : lasso];
+  }
+
+  if (m) {
+    var local = getLocalEraser(erasePath, radius, shape, m);
+    erasePath = local.erasePath;
+    radius = local.eraseRadius;
+    shape = local.shape;
+  }
+  for (var k = 0; k < Math.max(1, erasePath.length - 1); k++) {
+    var e0 = erasePath[k],
+      e1 = erasePath[k + 1],
+      r0 = getPointRadius(e0, radius),
+      r1 = e1 && getPointRadius(e1, radius);
+    if (shape.round && r0 <= 0 && !(r1 > 0)) continue;
+    regions.push(shape.getRegion(e0, r0, e1, r1, radius));
+  }
+  return regions;
+}
+
+/**
+  getEraseOptions reads the arguments that follow the erasePath in erase(), eraseObjects(), eraseAreas() and
+  eraseChanges(). They can be given in two ways:
+    erase(paths, erasePath, eraseRadius, options): the radius on its own, as it has always been. A radius that is 0 or
+      not given is taken to be 20.
+    erase(paths, erasePath, options): everything in one object, where options.radius is the radius of the eraser. It is
+      20 if not given, but a radius of 0 stays 0.
+  The options are:
+    radius: the radius of the eraser. Points of the erasePath without a radius of their own in r use it, and between
+      two points of different radii the eraser is a tapered capsule,
+    epsilon: how far a line has to get into the round eraser to be cut, rather than only touch it; 1e-6 if not given.
+      Set it to suit the scale of the coordinates, smaller for world coordinates in meters than for pixels.
+    minLength: fragments of strokes that are shorter than this are dropped, 0 if not given, so that none are,
+    precision: if given, the coordinates of the fragments are rounded to this many digits after the decimal point,
+      0 for whole numbers. The paths the eraser did not touch are not rounded.
+    format: 'object' or 'array', the format to return the paths in. They are returned in the format they were given in
+      if not given. Area mode needs the object format, for the holes of its polygons,
+    strokeMode: where a path with a "stroke-width", and "stroke-linecap" 'round' or 'butt', is cut. 'visible', the
+      default, cuts it wherever its ink touches the eraser, 'covered' only where its ink is completely under the eraser.
+      Paths without a stroke width are cut where their center line meets the eraser,
+    shape: a convex polygon to erase with instead of the circle, see polygonEraser and rectangleEraser,
+    transform: an {a, b, c, d, e, f} matrix as in SVG, such as svg.getScreenCTM(), from the coordinates of the paths to
+      those of the erasePath, applied after the transform of each path. The paths are erased in their own coordinates,
+      with the eraser mapped into them through the inverse matrix; where it scales unevenly the round eraser becomes an
+      ellipse, and round caps are treated as butt caps. The fragments keep the transform of their path,
+    mode: 'lasso' to erase everything inside the erasePath as a closed polygon, cut where the center lines of the paths
+      cross it, whatever the radius and stroke widths; 'object' to remove the paths the eraser touches whole, see
+      eraseObjects; 'area' to erase filled shapes, see eraseAreas,
+    fillRule: 'nonzero', the default, or 'evenodd', what is inside a lasso that crosses itself,
+    crop: if true, only the parts inside the region the eraser sweeps over, or inside the lasso, are kept, cut at the
+      same points, so that `{crop: true}` keeps exactly what erasing removes,
+    locked: the paths that must not be erased, such as those of a locked background layer: either a function that
+      takes a path and returns true if it is locked, or an array of names, where a path is locked if its layer property
+      or any of the strings in its tags property is one of them. Locked paths are returned as they are, and erase() does
+      not look at them. eraseChanges() and eraseObjects() hit test them, without erasing them, to tell which of them
+      the eraser touched in locked,
+    clone: a function that takes a path and returns a new object with its properties, for its fragments. By default
+      arrays and plain objects are copied and everything else taken over; coords are set afterwards. Every fragment
+      also gets parentId, the id of the path it was cut from, fragmentIndex, its index among the fragments of that path,
+      and coordRange, [from, to], the part of the path it covers, where i + t is the point at t along the segment from
+      point i. Fragments of fragments keep the parentId and coordRange of the original path,
+    interpolate: a function (name, a, b, t) that returns the value of the point where a segment is cut at t, for the
+      values of its points besides x and y that are not numbers. Numbers, such as pressure, are interpolated
+      linearly, and other values are taken from the nearer end if it is not given,
+    record: a function that gets every call of erase() or eraseChanges(), once it is done, as a test case in the
+      format of the test_cases of func_test.html: {name, paths, erase_path, r, options, result}, JSON copies of the
+      arguments as they were passed in and of what was returned, or error: {code, message} for a call that threw. An
+      options object in the place of the eraseRadius is recorded without r, and options that have no JSON are listed
+      in unrecorded. `node replay.js cases.json` runs the recorded cases again.
+  Returns a new object with all of the options and the radius in radius. Throws an EraseInputError for a radius or
+  option it cannot work with.
+*/
+function getEraseOptions(eraseRadius, options) {
+  var positional = eraseRadius === null || typeof eraseRadius !== 'object',
+    result = {},
+    key;
+  if (!positional) {
+    options = eraseRadius;
+    eraseRadius = options.radius;
+  }
+  for (key in options) result[key] = options[key];
+
+  if (eraseRadius !== undefined && eraseRadius !== null && !(isFiniteNumber(eraseRadius) && eraseRadius >= 0)) {
+    throw new EraseInputError('INVALID_RADIUS', 'the erase radius ' + eraseRadius + ' is not a number of 0 or more');
+  }
+  if (positional) result.radius = eraseRadius || 20;
+  else result.radius = eraseRadius === undefined || eraseRadius === null ? 20 : eraseRadius;
+
+  ['epsilon', 'minLength', 'precision'].forEach(function(name) {
+    if (result[name] !== undefined && !(isFiniteNumber(result[name]) && result[name] >= 0)) {
+      throw new EraseInputError('INVALID_OPTION', 'options.' + name + ' is ' + result[name] + ', not a number of 0 or more');
+    }
+  });
+  if (result.transform !== undefined && !isTransform(result.transform)) {
+    throw new EraseInputError('INVALID_OPTION', 'options.transform is not an invertible {a, b, c, d, e, f} matrix');
+  }
+  if (result.locked !== undefined && typeof result.locked !== 'function' && !Array.isArray(result.locked)) {
+    throw new EraseInputError('INVALID_OPTION', 'options.locked is neither a function nor an array of layers and tags');
+  }
+  if (result.record !== undefined && typeof result.record !== 'function') {
+    throw new EraseInputError('INVALID_OPTION', 'options.record is not a function');
+  }
+  if (result.format !== undefined && result.format !== 'object' && result.format !== 'array') {
+    throw new EraseInputError('INVALID_OPTION', "options.format is " + result.format + ", not 'object' or 'array'");
+  }
+  return result;
+}
+
+/**
+  Eraser shapes. erase(), eraseObjects() and eraseAreas() use the round eraser of circleEraser() unless options.shape
+  gives another one. A shape is an object with two methods. Both take the point e0 of the erasePath with the radius r0
+  of the eraser there, the next point e1 with its radius r1 (both undefined where a single point is erased), and the
+  eraseRadius:
+    getRegion(e0, r0, e1, r1, eraseRadius): the region the eraser sweeps over from e0 to e1, for getOutsideIntervals
+    getPolygon(e0, r0, e1, r1, eraseRadius, tolerance): the same region as a convex polygon, counterclockwise (with
+      the y axis pointing up), for eraseAreas. Curved borders stay within tolerance of the polygon.
+*/
+
+/*
+ * Returns the round eraser: a circle of the radius of the eraser at each point, swept into a capsule between points.
+ *   It is cut with pointErase and capsuleErase, which find the intersections with it directly.
+ */
+function circleEraser() {
+  return {
+    round: true,
+    getRegion: function(e0, r0, e1, r1) {
+      if (!e1) return circleRegion(e0.x, e0.y, r0);
+      if (r0 === r1) return capsuleRegion(e0.x, e0.y, e1.x, e1.y, r0);
+      return taperedCapsuleRegion(e0.x, e0.y, Math.max(0, r0), e1.x, e1.y, Math.max(0, r1));
+    },
+    getPolygon: function(e0, r0, e1, r1, eraseRadius, tolerance) {
+      if (!e1) return getCirclePolygon(e0.x, e0.y, r0, tolerance);
+      return getCapsulePolygon(e0, r0, e1, r1, tolerance);
+    }
+  };
+}
+
+/*
+ * Takes points: the corners of the eraser, relative to the point of the erasePath it is at. The convex hull of
+ *   the points is used, so the order does not matter and a concave polygon is erased as its hull.
+ * Takes options: {rotation: the angle to turn the polygon by in radians, from the x axis towards the y axis,
+ *   follow: true to turn the polygon with the direction of the erasePath as well}.
+ * Returns the polygon eraser. Between two points of the erasePath it sweeps over the convex hull of the polygon at
+ *   both points, where a point with a radius of its own scales the polygon by that radius over the eraseRadius, if
+ *   that is not 0.
+ *   With follow set, the polygon keeps its rotation relative to every part of the erasePath, turning at the points
+ *   in between; a single point is erased with the polygon only turned by rotation.
+ */
+function polygonEraser(points, options) {
+  options = options || {};
+  var hull = getConvexHull(points),
+    rotation = options.rotation || 0,
+    follow = !!options.follow;
+
+  // the polygon moved to the point e, turned by angle and scaled by the radius of the eraser there. With an eraseRadius
+  //   of 0 there is nothing to scale by, and the polygon keeps its own size
+  var place = function(e, r, angle, eraseRadius) {
+    var scale = eraseRadius ? r / eraseRadius : 1,
+      cos = Math.cos(angle) * scale,
+      sin = Math.sin(angle) * scale;
+    return hull.map(function(p) { return { x: e.x + p.x * cos - p.y * sin, y: e.y + p.x * sin + p.y * cos }; });
+  };
+
+  return {
+    getRegion: function(e0, r0, e1, r1, eraseRadius) {
+      return polygonRegion(this.getPolygon(e0, r0, e1, r1, eraseRadius));
+    },
+    getPolygon: function(e0, r0, e1, r1, eraseRadius) {
+      var angle = rotation + (follow && e1 ? Math.atan2(e1.y - e0.y, e1.x - e0.x) : 0),
+        polygon = place(e0, r0, angle, eraseRadius);
+      if (e1) polygon = getConvexHull(polygon.concat(place(e1, r1, angle, eraseRadius)));
+      return polygon;
+    }
+  };
+}
+
+/*
+ * Takes width, height: the size of a rectangle centered on the point of the erasePath.
+ * Takes options: the rotation and follow options of polygonEraser.
+ * Returns the rectangle eraser.
+ */
+function rectangleEraser(width, height, options) {
+  var w = width / 2,
+    h = height / 2;
+  return polygonEraser([{ x: -w, y: -h }, { x: w, y: -h }, { x: w, y: h }, { x: -w, y: h }], options);
+}
+
+/**
+  EraseInputError is thrown by erase(), eraseObjects(), eraseAreas() and eraseChanges() for input they cannot work
+  with, before anything is erased. It says what is wrong in code:
+    'INVALID_PATHS': paths is not an array,
+    'MIXED_FORMATS': some paths are arrays of [x, y] points and others are objects with coords,
+    'INVALID_PATH': a path is neither, or its transform is not an invertible matrix,
+    'EMPTY_PATH': a path has no points,
+    'INVALID_POINT': a point, a control point of a curve or a point of a hole has a coordinate that is not a finite
+      number, or a point of the erasePath has a radius r that is not a finite number of 0 or more,
+    'EMPTY_ERASE_PATH': the erasePath is not an array of at least one point,
+    'INVALID_RADIUS': the eraseRadius or options.radius is not a finite number of 0 or more,
+    'INVALID_OPTION': options.epsilon, options.minLength or options.precision is not a finite number of 0 or more,
+      options.format is neither 'object' nor 'array', or 'array' in area mode, options.transform is not an invertible
+      matrix, options.locked is neither a function nor an array, or options.record is not a function.
+  pathIndex is the index in paths of the path that is wrong, or null if the problem is with the erasePath or the
+  eraseRadius. pointIndex is the index of the point that is wrong in the path or the erasePath, or null.
+*/
+function EraseInputError(code, message, pathIndex, pointIndex) {
+  this.name = 'EraseInputError';
+  this.code = code;
+  this.message = message;
+  this.pathIndex = pathIndex === undefined ? null : pathIndex;
+  this.pointIndex = pointIndex === undefined ? null : pointIndex;
+  this.stack = new Error(message).stack;
+}
+EraseInputError.prototype = Object.create(Error.prototype);
+EraseInputError.prototype.constructor = EraseInputError;
+
 /* Helper functions:
  *  displayPath (path)
  *  displayPaths (paths)
  *  logPath (path, displaySwitch)
  *  logPaths (paths)
  *  cleanPath (path)
+ *  readInput (paths, erasePath)
+ *  readPoint (point, where, pathIndex, pointIndex)
+ *  isFiniteNumber (value)
+ *  isTransform (value)
+ *  isLocked (path, locked)
+ *  touchesEraser (path, local, lasso, options)
+ *  recordErase (run, paths, erasePath, eraseRadius, options)
+ *  copyJSON (value)
+ *  toArrayPaths (arrays, objects, paths)
  *  getDistance (aX, aY, bX, bY)
  *  withinCircle (x, y, cX, cY, r)
  *  withinBox (pX, pY, aX, aY, bX, bY, r)
  *  withinCapsule (pX, pY, aX, aY, bX, bY, r)
  *  getParallelSegments (aX, aY, bX, bY, r)
  *  get_cirle_intersection (aX, aY, bX, bY, cX, cY, r)
- *  getCircleIntersections (aX, aY, bX, bY, cX, cY, r)
+ *  getCircleIntersections (aX, aY, bX, bY, cX, cY, r, epsilon)
  *  getLineIntersection (aX, aY, bX, bY, cX, cY, dX, dY)
- *  getCapsuleIntersection (aX, aY, locationIndex, bX, bY, c0_x, c0_y, c1_x, c1_y, r)
- *  getCapsuleIntersections (aX, aY, bX, bY, c0_x, c0_y, c1_x, c1_y, r)
+ *  getLineIntersectionParameter (aX, aY, bX, bY, cX, cY, dX, dY)
+ *  getCapsuleIntersection (aX, aY, locationIndex, bX, bY, c0_x, c0_y, c1_x, c1_y, r, epsilon)
+ *  getCapsuleIntersections (aX, aY, bX, bY, c0_x, c0_y, c1_x, c1_y, r, epsilon)
+ *  createNewPath (path, clone)
+ *  clonePath (path)
+ *  getPathPosition (coords, j, point)
+ *  getCoordRange (path, from, to)
+ *  setLineage (path, fragments)
+ *  getPathLength (path)
+ *  roundPath (path, precision)
+ *  setPointValues (original, coords, from, to, interpolate)
+ *  interpolateNearest (name, a, b, t)
+ *  isCurved (path)
+ *  getClosedCoords (path)
+ *  getSegmentPoint (p0, p1, t)
+ *  getSegmentPiece (p0, p1, a, b)
+ *  getOutsideIntervals (p0, p1, region)
+ *  getSegmentTangent (p0, p1, t)
+ *  getSegmentDistance (aX, aY, bX, bY, cX, cY, dX, dY)
+ *  circleRegion (cX, cY, r)
+ *  capsuleRegion (aX, aY, bX, bY, r)
+ *  getPointRadius (point, eraseRadius)
+ *  getTaperedDistance (x, y, aX, aY, rA, bX, bY, rB)
+ *  taperedCapsuleRegion (aX, aY, rA, bX, bY, rB)
+ *  getConvexOutsideIntervals (p0, p1, distance, contains)
+ *  getConvexHull (points)
+ *  polygonRegion (points)
+ *  offsetRegion (region, offset)
+ *  getShapeStrokeRegion (path, region, strokeMode)
+ *  touchesRegion (path, region)
+ *  lassoRegion (points, evenOdd)
+ *  unionRegion (regions)
+ *  getInsideIntervals (outside)
+ *  invertTransform (m)
+ *  multiplyTransforms (m, n)
+ *  transformPoint (m, point)
+ *  getPathTransform (path, transform)
+ *  getTransformScale (m)
+ *  transformRegion (region, m)
+ *  transformPolygon (points, m)
+ *  transformEraser (shape, m)
+ *  getLocalEraser (erasePath, eraseRadius, shape, m)
+ *  strokeRegion (region, halfWidth, mode)
+ *  getStrokeRadius (path, eraseRadius, strokeMode)
+ *  getStrokeRegion (path, region, strokeMode)
+ *  touchesCircle (path, cX, cY, eraseRadius, strokeMode, epsilon)
+ *  touchesCapsule (path, e0, e1, eraseRadius, strokeMode, epsilon)
+ *  samePoints (a, b)
+ *  getPathBounds (path)
+ *  boundsOverlap (a, b)
+ *  segmentOutsideBounds (p0, p1, bounds)
+ *  getCirclePolygon (cX, cY, r, tolerance)
+ *  getCapsulePolygon (e0, r0, e1, r1, tolerance)
+ *  getAreaRings (path, tolerance)
+ *  getWindingNumber (x, y, rings)
+ *  getSegmentCrossings (a, b, c, d)
+ *  subtractPolygon (rings, evenOdd, erasers, keepInside)
  */
 
 // Note: for all intersection calculations, if a point is on the border of an object, 
@@ -341,18 +1169,217 @@ function cleanPath(path) {
   var cleaned = [];
   if (path.length === 1) cleaned = path;
   else {
-    pClean = 0;
+    var pClean = 0;
     while (pClean < (path.length - 1)) {
       if (path[pClean].x !== path[pClean + 1].x || path[pClean].y !== path[pClean + 1].y) cleaned.push(path[pClean]);
       pClean++;
     }
     if (path.length !== 0 && cleaned.length === 0) cleaned.push(path[0]);
 
-    if (path[path.length - 1].x !== path[cleaned.length - 1].x || path[path.length - 1].y !== path[cleaned.length - 1].y) cleaned.push(path[pClean]);
+    // the last point is only left out when it is a repeat of the last point kept
+    var lastKept = cleaned[cleaned.length - 1];
+    if (path[path.length - 1].x !== lastKept.x || path[path.length - 1].y !== lastKept.y) cleaned.push(path[pClean]);
   }
   return cleaned;
 }
 
+/*
+ *  Takes the paths and erasePath passed to erase().
+ *  Checks them and throws an EraseInputError for anything erase() cannot work with.
+ *  Returns an object: {paths: the paths as objects with coords, erasePath: its points as {x, y} objects, arrays: true if
+ *    the paths were given in the array format, [[x, y], ...], and have to be returned in it}.
+ *    Paths that are objects already are the same objects that were passed in.
+ */
+function readInput(paths, erasePath) {
+  if (!Array.isArray(paths)) throw new EraseInputError('INVALID_PATHS', 'paths must be an array of paths');
+  var arrays = paths.length > 0 && Array.isArray(paths[0]),
+    objects = [],
+    p,
+    i;
+
+  for (p = 0; p < paths.length; p++) {
+    var path = paths[p];
+    if (Array.isArray(path) !== arrays) {
+      throw new EraseInputError('MIXED_FORMATS', 'path ' + p + ' is ' + (arrays ? 'not an array of points' : 'an array') +
+        ', but path 0 is ' + (arrays ? 'one' : 'an object with coords'), p);
+    }
+    var coords = arrays ? path : path && path.coords;
+    if (!Array.isArray(coords)) throw new EraseInputError('INVALID_PATH', 'path ' + p + ' has no coords array', p);
+    if (coords.length === 0) throw new EraseInputError('EMPTY_PATH', 'path ' + p + ' has no points', p);
+
+    var points = [];
+    for (i = 0; i < coords.length; i++) points.push(readPoint(coords[i], 'point ' + i + ' of path ' + p, p, i));
+    for (var h = 0; !arrays && path.holes && h < path.holes.length; h++) {
+      for (i = 0; i < path.holes[h].length; i++) readPoint(path.holes[h][i], 'point ' + i + ' of hole ' + h + ' of path ' + p, p, i);
+    }
+    if (!arrays && path.transform !== undefined && !isTransform(path.transform)) {
+      throw new EraseInputError('INVALID_PATH', 'path ' + p + ' has a transform that is not an invertible matrix', p);
+    }
+    objects.push(arrays ? { coords: points } : path);
+  }
+
+  if (!Array.isArray(erasePath) || erasePath.length === 0) {
+    throw new EraseInputError('EMPTY_ERASE_PATH', 'the erase path must be an array of at least one point');
+  }
+  var eraserPoints = [];
+  for (i = 0; i < erasePath.length; i++) {
+    var point = readPoint(erasePath[i], 'point ' + i + ' of the erase path', null, i);
+    if (point.r !== undefined && !(isFiniteNumber(point.r) && point.r >= 0)) {
+      throw new EraseInputError('INVALID_POINT', 'point ' + i + ' of the erase path has the radius ' + point.r, null, i);
+    }
+    eraserPoints.push(point);
+  }
+  return { paths: objects, erasePath: eraserPoints, arrays: arrays };
+}
+
+/*
+ *  Takes a point, either an [x, y] array or an {x, y} object, with the words that say where it is for the error
+ *    message and the index of its path (null for the erasePath) and its own index.
+ *  Throws an EraseInputError if its coordinates, or those of the control points of a curve, are not finite numbers.
+ *  Returns the point as an object: the object itself, or {x, y} for an array.
+ */
+function readPoint(point, where, pathIndex, pointIndex) {
+  var object = Array.isArray(point) ? { x: point[0], y: point[1] } : point;
+  if (!object || typeof object !== 'object') throw new EraseInputError('INVALID_POINT', where + ' is not a point', pathIndex, pointIndex);
+  if (!isFiniteNumber(object.x) || !isFiniteNumber(object.y)) {
+    throw new EraseInputError('INVALID_POINT', where + ' has the coordinates ' + object.x + ', ' + object.y +
+      ', which are not both finite numbers', pathIndex, pointIndex);
+  }
+  for (var c = 0; object.c && c < object.c.length; c++) {
+    if (!object.c[c] || !isFiniteNumber(object.c[c].x) || !isFiniteNumber(object.c[c].y)) {
+      throw new EraseInputError('INVALID_POINT', 'control point ' + c + ' of ' + where + ' is not a point with finite x and y',
+        pathIndex, pointIndex);
+    }
+  }
+  return object;
+}
+
+/*
+ *  Takes a value.
+ *  Returns true if it is a number, and neither NaN nor infinite.
+ */
+function isFiniteNumber(value) {
+  return typeof value === 'number' && isFinite(value);
+}
+
+/*
+ *  Takes a value.
+ *  Returns true if it is an {a, b, c, d, e, f} matrix of finite numbers that can be inverted, see getEraseOptions.
+ */
+function isTransform(value) {
+  if (!value || typeof value !== 'object') return false;
+  var finite = ['a', 'b', 'c', 'd', 'e', 'f'].every(function(name) { return isFiniteNumber(value[name]); });
+  return finite && value.a * value.d - value.b * value.c !== 0;
+}
+
+/*
+ *  Takes a path and the locked option of erase(), see getEraseOptions.
+ *  Returns true if the path must not be erased.
+ */
+function isLocked(path, locked) {
+  if (!locked) return false;
+  if (typeof locked === 'function') return !!locked(path);
+  if (locked.indexOf(path.layer) !== -1) return true;
+  return Array.isArray(path.tags) && path.tags.some(function(tag) { return locked.indexOf(tag) !== -1; });
+}
+
+/*
+ *  Takes a path, the eraser in the coordinates of the path, as getLocalEraser returns it, the lasso of lasso mode in
+ *    the same coordinates (or null) and the options of erase().
+ *  Returns true if erasing would cut something off the path: in lasso mode if it crosses or is inside the lasso, and in
+ *    area mode if the eraser crosses the outlines of its area or is inside of it.
+ */
+function touchesEraser(path, local, lasso, options) {
+  var strokeMode = options.strokeMode || 'visible',
+    targets = [path];
+  if (lasso) return touchesRegion(path, lasso);
+  if (options.mode === 'area') {
+    var rings = getAreaRings(path, options.tolerance || local.eraseRadius / 100),
+      w = getWindingNumber(local.erasePath[0].x, local.erasePath[0].y, rings);
+    if (path['fill-rule'] === 'evenodd' ? w % 2 !== 0 : w !== 0) return true;
+    targets = rings.map(function(ring) { return { coords: ring, closed: true }; });
+  }
+  for (var t = 0; t < targets.length; t++) {
+    for (var e = 0; e < Math.max(1, local.erasePath.length - 1); e++) {
+      var e0 = local.erasePath[e],
+        e1 = local.erasePath[e + 1],
+        r = local.eraseRadius,
+        touched;
+      if (!local.shape.round) {
+        var region = local.shape.getRegion(e0, getPointRadius(e0, r), e1, e1 && getPointRadius(e1, r), r);
+        touched = touchesRegion(targets[t], getShapeStrokeRegion(targets[t], region, strokeMode));
+      } else if (!e1) touched = touchesCircle(targets[t], e0.x, e0.y, getPointRadius(e0, r), strokeMode, options.epsilon);
+      else touched = touchesCapsule(targets[t], e0, e1, r, strokeMode, options.epsilon);
+      if (touched) return true;
+    }
+  }
+  return false;
+}
+
+/*
+ *  Takes run: erase or eraseChanges, and the arguments as they were passed to it, whose options have a record function.
+ *  Runs it without options.record and hands the function the call as a test case, see getEraseOptions.
+ *  Returns what run returns, and throws what it throws.
+ */
+function recordErase(run, paths, erasePath, eraseRadius, options) {
+  var positional = eraseRadius === null || typeof eraseRadius !== 'object',
+    given = positional ? options : eraseRadius,
+    record = given.record,
+    testCase = { name: 'recorded ' + new Date().toISOString(), paths: copyJSON(paths), erase_path: copyJSON(erasePath) },
+    rest = {},
+    recorded = {},
+    unrecorded = [],
+    result;
+  // a radius that was left out is left out of the JSON as well
+  if (positional) testCase.r = eraseRadius;
+
+  // functions, and shapes made of them, have no JSON
+  for (var key in given) {
+    var value = given[key];
+    if (key === 'record') continue;
+    rest[key] = value;
+    if (typeof value === 'function' || (value && typeof value === 'object' && Object.keys(value).some(function(name) {
+      return typeof value[name] === 'function';
+    }))) unrecorded.push(key);
+    else recorded[key] = copyJSON(value);
+  }
+  if (!positional || Object.keys(recorded).length > 0) testCase.options = recorded;
+  if (unrecorded.length > 0) testCase.unrecorded = unrecorded;
+
+  try {
+    result = positional ? run(paths, erasePath, eraseRadius, rest) : run(paths, erasePath, rest);
+  } catch (error) {
+    testCase.error = { code: error.code, message: error.message };
+    record(testCase);
+    throw error;
+  }
+  // eraseChanges returns the same paths as erase() in paths
+  testCase.result = copyJSON(Array.isArray(result) ? result : result.paths);
+  record(testCase);
+  return result;
+}
+
+/*
+ *  Takes a value that can be written as JSON.
+ *  Returns a deep copy of it, as it is read back from JSON.
+ */
+function copyJSON(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/*
+ *  Takes arrays: paths in the array format, objects: the same paths as objects, see readInput, and paths: what erase()
+ *    left of the objects.
+ *  Returns the paths in the array format. The paths that were left as they are become the arrays they were.
+ */
+function toArrayPaths(arrays, objects, paths) {
+  var originals = new Map();
+  for (var o = 0; o < objects.length; o++) originals.set(objects[o], arrays[o]);
+  return paths.map(function(path) {
+    return originals.get(path) || path.coords.map(function(point) { return [point.x, point.y]; });
+  });
+}
+
 /*
  *  Takes the x and y coordinates of two points.  
  *  The distance between those two points is calculated.
@@ -496,11 +1523,13 @@ function getCircleIntersection(aX, aY, bX, bY, cX, cY, r) {
  * Takes aX, aY, bX, bY: the coordinates of the two points outside the circle, defining line segment AB.
  * Takes cX, cY: the coordinates of the center of the circle.
  * Takes r: the radius of the circle.
+ * Takes epsilon: optional, how far the line has to get into the circle to count as entering it rather than touching
+ *   it; EPS if not given.
  * Returns either and array of two objects or null:
  *   An array if the line segment AB does intersect the circle at two points (single intersections are not allowed).
  *   Null if there were no intersections.
  */
-function getCircleIntersections(aX, aY, bX, bY, cX, cY, r) {
+function getCircleIntersections(aX, aY, bX, bY, cX, cY, r, epsilon) {
   var vec_ac = [(cX - aX), (cY - aY)],
     vec_ab = [(bX - aX), (bY - aY)];
 
@@ -521,6 +1550,9 @@ function getCircleIntersections(aX, aY, bX, bY, cX, cY, r) {
   var x = Math.sqrt(Math.pow(r, 2) - Math.pow(mag_d, 2)),
     vec_cd = [(cX - mag_d * u_vec_n[0]), (cY - mag_d * u_vec_n[1])];
 
+  // a line that only touches the circle (up to rounding errors) does not enter it
+  if (!(x > (epsilon === undefined ? EPS : epsilon))) return null;
+
   var mag_ab = Math.sqrt(Math.pow(vec_ab[0], 2) + Math.pow(vec_ab[1], 2)),
     u_vec_ab = [(vec_ab[0] / mag_ab), (vec_ab[1] / mag_ab)];
 
@@ -531,7 +1563,6 @@ function getCircleIntersections(aX, aY, bX, bY, cX, cY, r) {
     x: (vec_cd[0] + u_vec_ab[0] * x),
     y: (vec_cd[1] + u_vec_ab[1] * x)
   }];
-  if (intersections[0].x === aX && intersections[0].y === aY) return null;
   return intersections;
 }
 
@@ -542,6 +1573,21 @@ function getCircleIntersections(aX, aY, bX, bY, cX, cY, r) {
  * Returns the coordinate-pair of the intersection if it exists.
  */
 function getLineIntersection(aX, aY, bX, bY, cX, cY, dX, dY) {
+  var t = getLineIntersectionParameter(aX, aY, bX, bY, cX, cY, dX, dY);
+  if (t === null) return null; // No collision
+
+  // Collision detected
+  var intX = aX + (t * (bX - aX)),
+    intY = aY + (t * (bY - aY));
+  return { x: intX, y: intY };
+}
+
+/*
+ * Takes the points that represent two line segments, as getLineIntersection does.
+ * Returns null if the line segments do not intersect.
+ * Returns t, the parameter of the intersection along AB, if it exists: the intersection is A + t * (B - A).
+ */
+function getLineIntersectionParameter(aX, aY, bX, bY, cX, cY, dX, dY) {
   var s1_x = bX - aX,
     s1_y = bY - aY,
     s2_x = dX - cX,
@@ -551,13 +1597,8 @@ function getLineIntersection(aX, aY, bX, bY, cX, cY, dX, dY) {
   var s = (-s1_y * (aX - cX) + s1_x * (aY - cY)) / (-s2_x * s1_y + s1_x * s2_y),
     t = (s2_x * (aY - cY) - s2_y * (aX - cX)) / (-s2_x * s1_y + s1_x * s2_y);
 
-  if (s >= 0 && s <= 1 && t >= 0 && t <= 1) {
-    // Collision detected
-    var intX = aX + (t * s1_x),
-      intY = aY + (t * s1_y);
-    return { x: intX, y: intY };
-  }
-  return null; // No collision
+  if (s >= 0 && s <= 1 && t >= 0 && t <= 1) return t;
+  return null;
 }
 
 /*
@@ -566,9 +1607,10 @@ function getLineIntersection(aX, aY, bX, bY, cX, cY, dX, dY) {
  *   the location index specifies exactly where it is.
  * Takes bX, bY: the coordinates of the point outside the circle.
  * Takes c0_x, c0_y, c1_x, c1_y, r: the parameters that define the capsule: the line segment from c0 to c1 and the radius.
+ * Takes epsilon: optional, see getCircleIntersections.
  * Returns an array containing the coordinates of the point of intersection between the line segment between A and B and the capsule
  */
-function getCapsuleIntersection(aX, aY, locationIndex, bX, bY, c0_x, c0_y, c1_x, c1_y, r) {
+function getCapsuleIntersection(aX, aY, locationIndex, bX, bY, c0_x, c0_y, c1_x, c1_y, r, epsilon) {
   var box = getParallelSegments(c0_x, c0_y, c1_x, c1_y, r),
     intersections = [],
     i;
@@ -577,13 +1619,13 @@ function getCapsuleIntersection(aX, aY, locationIndex, bX, bY, c0_x, c0_y, c1_x,
     intersections.push(getCircleIntersection(aX, aY, bX, bY, c0_x, c0_y, r));
     intersections.push(getLineIntersection(aX, aY, bX, bY, box[0].x, box[0].y, box[3].x, box[3].y));
     intersections.push(getLineIntersection(aX, aY, bX, bY, box[1].x, box[1].y, box[2].x, box[2].y));
-    i = getCircleIntersections(aX, aY, bX, bY, c1_x, c1_y, r);
+    i = getCircleIntersections(aX, aY, bX, bY, c1_x, c1_y, r, epsilon);
     if (i) intersections.push(i[0], i[1]);
   } else if (!locationIndex[0] && locationIndex[1]) {
     intersections.push(getCircleIntersection(aX, aY, bX, bY, c1_x, c1_y, r));
     intersections.push(getLineIntersection(aX, aY, bX, bY, box[0].x, box[0].y, box[3].x, box[3].y));
     intersections.push(getLineIntersection(aX, aY, bX, bY, box[1].x, box[1].y, box[2].x, box[2].y));
-    i = getCircleIntersections(aX, aY, bX, bY, c0_x, c0_y, r);
+    i = getCircleIntersections(aX, aY, bX, bY, c0_x, c0_y, r, epsilon);
     if (i) intersections.push(i[0], i[1]);
   } else if (locationIndex[0] && locationIndex[1]) {
     intersections.push(getCircleIntersection(aX, aY, bX, bY, c0_x, c0_y, r));
@@ -591,8 +1633,8 @@ function getCapsuleIntersection(aX, aY, locationIndex, bX, bY, c0_x, c0_y, c1_x,
     intersections.push(getLineIntersection(aX, aY, bX, bY, box[1].x, box[1].y, box[2].x, box[2].y));
     intersections.push(getCircleIntersection(aX, aY, bX, bY, c1_x, c1_y, r));
   } else {
-    i = getCircleIntersections(aX, aY, bX, bY, c1_x, c1_y, r);
-    var j = getCircleIntersections(aX, aY, bX, bY, c0_x, c0_y, r);
+    i = getCircleIntersections(aX, aY, bX, bY, c1_x, c1_y, r, epsilon);
+    var j = getCircleIntersections(aX, aY, bX, bY, c0_x, c0_y, r, epsilon);
     if (i) intersections.push(i[0], i[1]);
     if (j) intersections.push(j[0], j[1]);
     intersections.push(getLineIntersection(aX, aY, bX, bY, box[0].x, box[0].y, box[3].x, box[3].y));
@@ -615,17 +1657,18 @@ function getCapsuleIntersection(aX, aY, locationIndex, bX, bY, c0_x, c0_y, c1_x,
  *  Takes aX, aY: the coordinates of the point inside the capsule
  * Takes bX, bY: the coordinates of the point outside the circle
  * Takes c0_x, c0_y, c1_x, c1_y, r: the parameters that define the capsule: the line segment from c0 to c1 and the radius
+ * Takes epsilon: optional, see getCircleIntersections.
  * Returns an array of two arrays,
  *   containing the coordinates of the points of intersection between the line segment between A and B and the capsule
  * Returns null if the line segment AB does not intersect with the capsule
  */
-function getCapsuleIntersections(aX, aY, bX, bY, c0_x, c0_y, c1_x, c1_y, r) {
+function getCapsuleIntersections(aX, aY, bX, bY, c0_x, c0_y, c1_x, c1_y, r, epsilon) {
   var box = getParallelSegments(c0_x, c0_y, c1_x, c1_y, r),
     intersections = [];
 
-  var tmp = getCircleIntersections(aX, aY, bX, bY, c0_x, c0_y, r);
+  var tmp = getCircleIntersections(aX, aY, bX, bY, c0_x, c0_y, r, epsilon);
   if (tmp) intersections.push(tmp[0], tmp[1]);
-  tmp = getCircleIntersections(aX, aY, bX, bY, c1_x, c1_y, r);
+  tmp = getCircleIntersections(aX, aY, bX, bY, c1_x, c1_y, r, epsilon);
   if (tmp) intersections.push(tmp[0], tmp[1]);
   intersections.push(getLineIntersection(aX, aY, bX, bY, box[0].x, box[0].y, box[3].x, box[3].y));
   intersections.push(getLineIntersection(aX, aY, bX, bY, box[1].x, box[1].y, box[2].x, box[2].y));
@@ -679,12 +1722,1355 @@ var getClosestPointOnSegment = function(A, B, P) {
 
 /*
  * Used as an alternative to JSON.parse(JSON.stringify(path))
+ * Takes a path and the function to copy its properties with, clonePath if none is given.
+ * Returns the copy, with a copy of the coords array of the path that still holds the same points.
+ */
+var createNewPath = function(path, clone) {
+  var newCreatedPath = (clone || clonePath)(path);
+  newCreatedPath.coords = path.coords.slice();
+  return newCreatedPath;
+};
+
+/*
+ * Takes a path.
+ * Returns a copy of all its properties but coords: arrays and plain objects, such as a style object, are copied all
+ *   the way down, everything else (numbers, booleans, functions, other objects) is taken over as it is.
  */
-var createNewPath = function(path) {
+var clonePath = function(path) {
+  var copy = function(value) {
+    var result;
+    if (Array.isArray(value)) return value.map(copy);
+    if (value === null || typeof value !== 'object' || Object.getPrototypeOf(value) !== Object.prototype) return value;
+    result = {};
+    for (var key in value) result[key] = copy(value[key]);
+    return result;
+  };
   var newCreatedPath = {};
   for (var key in path) {
-    if (typeof path[key] === 'string') newCreatedPath[key] = path[key].slice();
-    else if (Array.isArray(path[key])) newCreatedPath[key] = path[key].slice();
+    if (key !== 'coords') newCreatedPath[key] = copy(path[key]);
   }
   return newCreatedPath;
-};
\ No newline at end of file
+};
+
+/*
+ * Takes coords: the points of a path with straight segments.
+ * Takes j: the index of the segment the point lies on, from coords[j] to coords[j + 1].
+ * Takes point: a point on that segment.
+ * Returns the position of the point along the path: j plus how far along the segment it is, from 0 to 1.
+ */
+var getPathPosition = function(coords, j, point) {
+  var a = coords[j],
+    b = coords[j + 1];
+  if (!b || (point.x === a.x && point.y === a.y)) return j;
+  var dX = b.x - a.x,
+    dY = b.y - a.y;
+  return j + Math.max(0, Math.min(1, ((point.x - a.x) * dX + (point.y - a.y) * dY) / (dX * dX + dY * dY)));
+};
+
+/*
+ * Takes a path, and the positions from and to along it where a fragment of it starts and ends, see getPathPosition.
+ * Returns the [from, to] range of the fragment in the points of the path the fragment comes from in the end: if the
+ *   path is a fragment itself, its own coordRange tells where it lies in that path. Every segment of a fragment is
+ *   a piece of a segment of the path, so the positions are mapped segment by segment.
+ */
+var getCoordRange = function(path, from, to) {
+  var range = path.coordRange;
+  if (!range) return [from, to];
+  var first = Math.floor(range[0]),
+    segments = path.coords.length - 1;
+  var map = function(position) {
+    var k = Math.min(Math.floor(position), segments - 1),
+      lo = k === 0 ? range[0] - first : 0,
+      hi = k === segments - 1 ? range[1] - (first + k) : 1;
+    return first + k + lo + (position - k) * (hi - lo);
+  };
+  return [map(from), map(to)];
+};
+
+/*
+ * Takes a path that was passed to erase() and the paths erase() left of it.
+ * Gives every fragment the id of the path in parentId and its index among the fragments in fragmentIndex. The
+ *   fragments of a path that is a fragment itself, with a coordRange, keep its parentId: they still come from the
+ *   same path. A path that was left as it is stays unchanged.
+ */
+var setLineage = function(path, fragments) {
+  for (var f = 0; f < fragments.length; f++) {
+    if (fragments[f] === path) continue;
+    if (!path.coordRange) {
+      if (path.id !== undefined) fragments[f].parentId = path.id;
+      else delete fragments[f].parentId;
+    }
+    fragments[f].fragmentIndex = f;
+  }
+};
+
+/*
+ * Takes a path.
+ * Returns its length along all of its segments. Curves are measured along 16 straight pieces.
+ */
+var getPathLength = function(path) {
+  var coords = getClosedCoords(path),
+    length = 0;
+  for (var i = 0; i < coords.length - 1; i++) {
+    var pieces = coords[i + 1].c ? 16 : 1,
+      last = coords[i];
+    for (var k = 1; k <= pieces; k++) {
+      var next = getSegmentPoint(coords[i], coords[i + 1], k / pieces);
+      length += getDistance(last.x, last.y, next.x, next.y);
+      last = next;
+    }
+  }
+  return length;
+};
+
+/*
+ * Takes a new path, made by erase(), and the number of digits after the decimal point to round its coordinates to.
+ * Rounds the coordinates of its points, the control points of curves and the points of holes. The points are
+ *   replaced by rounded copies, as they may be points of the path the fragment comes from.
+ */
+var roundPath = function(path, precision) {
+  var factor = Math.pow(10, precision);
+  var round = function(point) {
+    var rounded = {};
+    for (var key in point) rounded[key] = point[key];
+    rounded.x = Math.round(point.x * factor) / factor;
+    rounded.y = Math.round(point.y * factor) / factor;
+    if (point.c) rounded.c = point.c.map(round);
+    return rounded;
+  };
+  path.coords = path.coords.map(round);
+  if (path.holes) path.holes = path.holes.map(function(hole) { return hole.map(round); });
+};
+
+/*
+ * Takes original: the points of a path.
+ * Takes coords: the points of a fragment of it, from position from to position to, see getPathPosition.
+ * Takes interpolate: the function for the values that are not numbers, see interpolateNearest.
+ * Gives the points of the fragment that are not points of the path, the points where the path was cut, the other
+ *   values of the points of the path around them, such as the pressure or the time: numbers are interpolated
+ *   linearly, at the parameter of the cut along the segment. A point that lies on a point of the path gets its values.
+ */
+var setPointValues = function(original, coords, from, to, interpolate) {
+  var first = Math.floor(from);
+  for (var k = 0; k < coords.length; k++) {
+    var position = k === 0 ? from : k === coords.length - 1 ? to : first + k,
+      i = Math.floor(position),
+      t = position - i,
+      p0 = original[i],
+      p1 = original[i + 1] || p0,
+      point = coords[k];
+    if (point === p0 || !p0) continue;
+    var names = {},
+      name;
+    for (name in p0) names[name] = true;
+    for (name in p1) names[name] = true;
+    for (name in names) {
+      if (name === 'x' || name === 'y' || name === 'c') continue;
+      var value = t === 0 ? p0[name] : typeof p0[name] === 'number' && typeof p1[name] === 'number' ?
+        p0[name] + t * (p1[name] - p0[name]) : interpolate(name, p0[name], p1[name], t);
+      if (value !== undefined) point[name] = value;
+    }
+  }
+};
+
+/*
+ * The default for the interpolate option of erase().
+ * Takes name: the name of a value of the points of a path that is not a number in both points, a color for example.
+ * Takes a, b: its values at the start and end of a segment, either may be undefined.
+ * Takes t: the parameter of a cut along the segment.
+ * Returns the value at the point of the cut: the value of the nearer end.
+ */
+var interpolateNearest = function(name, a, b, t) {
+  return t < 0.5 ? a : b;
+};
+
+/*
+ * Takes a path.
+ * Returns true if any of its segments is a curve. A point with a c property is the end of a cubic Bézier curve
+ *   from the previous point, c holding the two control points: {x: 30, y: 0, c: [{x: 10, y: 10}, {x: 20, y: 10}]}.
+ */
+var isCurved = function(path) {
+  for (var i = 1; i < path.coords.length; i++) {
+    if (path.coords[i].c) return true;
+  }
+  return false;
+};
+
+/*
+ * Takes a path.
+ * Returns its points, with the first point added again at the end if the path is closed, so that the closing
+ *   segment is a segment like the others. A closed path whose last point already is its first needs no closing segment.
+ */
+var getClosedCoords = function(path) {
+  var coords = path.coords,
+    first = coords[0],
+    last = coords[coords.length - 1];
+  if (!path.closed || coords.length < 2 || (first.x === last.x && first.y === last.y)) return coords;
+  // the point that closes the loop is the first point again, with its other values such as the pressure
+  var closing = {};
+  for (var key in first) {
+    if (key !== 'c') closing[key] = first[key];
+  }
+  return coords.concat([closing]);
+};
+
+/*
+ * Takes p0, p1: the start and end points of a segment, p1.c holding the control points if it is a curve.
+ * Takes t: the parameter along the segment, from 0 at p0 to 1 at p1.
+ * Returns an object: the x and y coordinates of the point on the segment at t.
+ */
+var getSegmentPoint = function(p0, p1, t) {
+  if (!p1.c) return { x: p0.x + t * (p1.x - p0.x), y: p0.y + t * (p1.y - p0.y) };
+  var s = 1 - t,
+    c0 = p1.c[0],
+    c1 = p1.c[1];
+  return {
+    x: s * s * s * p0.x + 3 * s * s * t * c0.x + 3 * s * t * t * c1.x + t * t * t * p1.x,
+    y: s * s * s * p0.y + 3 * s * s * t * c0.y + 3 * s * t * t * c1.y + t * t * t * p1.y
+  };
+};
+
+/*
+ * Takes p0, p1: the start and end points of a segment.
+ * Takes a, b: the parameters where the wanted piece of the segment starts and ends, 0 <= a < b <= 1.
+ * Returns the end point of the piece. For a curve it carries the control points of the piece in c,
+ *   found with de Casteljau subdivision, so the piece is exactly the part of the curve between a and b.
+ *   The piece starts at getSegmentPoint(p0, p1, a).
+ */
+var getSegmentPiece = function(p0, p1, a, b) {
+  if (a === 0 && b === 1) return p1;
+  if (!p1.c) return b === 1 ? p1 : getSegmentPoint(p0, p1, b);
+
+  var lerp = function(p, q, t) { return { x: p.x + t * (q.x - p.x), y: p.y + t * (q.y - p.y) }; };
+
+  // split at b and keep the first part
+  var q0 = lerp(p0, p1.c[0], b),
+    q1 = lerp(p1.c[0], p1.c[1], b),
+    q2 = lerp(p1.c[1], p1, b),
+    r0 = lerp(q0, q1, b),
+    r1 = lerp(q1, q2, b),
+    end = lerp(r0, r1, b),
+    curve = [p0, q0, r0, b === 1 ? p1 : end];
+
+  // split the first part at a (relative to its length) and keep the second part
+  var u = a / b,
+    s0 = lerp(curve[0], curve[1], u),
+    s1 = lerp(curve[1], curve[2], u),
+    s2 = lerp(curve[2], curve[3], u),
+    t1 = lerp(s1, s2, u);
+  return { x: curve[3].x, y: curve[3].y, c: [t1, s2] };
+};
+
+/*
+ * Takes p0, p1: the start and end points of a segment, straight or curved.
+ * Takes region: an object with a contains(x, y) method that returns 1 for points inside the region and 0 otherwise,
+ *   the bounds {minX, minY, maxX, maxY} of the region and a step, the distance at which to sample the segment.
+ *   A region with directional set is passed the direction of the segment as well: contains(x, y, dx, dy).
+ *   A region with an outsideIntervals(p0, p1) method works out straight segments itself.
+ * Returns an array of [a, b] parameter intervals: the parts of the segment that are outside the region.
+ * The segment is sampled every step along its length, and every change between inside and outside is
+ *   bisected to find where the segment crosses the border of the region.
+ */
+var getOutsideIntervals = function(p0, p1, region) {
+  var points = p1.c ? [p0, p1.c[0], p1.c[1], p1] : [p0, p1],
+    length = 0,
+    minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (var i = 0; i < points.length; i++) {
+    if (i > 0) length += getDistance(points[i - 1].x, points[i - 1].y, points[i].x, points[i].y);
+    minX = Math.min(minX, points[i].x);
+    minY = Math.min(minY, points[i].y);
+    maxX = Math.max(maxX, points[i].x);
+    maxY = Math.max(maxY, points[i].y);
+  }
+  // a segment lies within the bounding box of its points, including the control points of a curve
+  var b = region.bounds;
+  if (b && (minX >= b.maxX || maxX <= b.minX || minY >= b.maxY || maxY <= b.minY)) return [[0, 1]];
+  if (!p1.c && region.outsideIntervals && !region.directional) return region.outsideIntervals(p0, p1);
+
+  var inside = function(t) {
+    var p = getSegmentPoint(p0, p1, t);
+    if (!region.directional) return !!region.contains(p.x, p.y);
+    var tangent = getSegmentTangent(p0, p1, t);
+    return !!region.contains(p.x, p.y, tangent.x, tangent.y);
+  };
+
+  var n = Math.min(4096, Math.max(4, Math.ceil(length / region.step))),
+    intervals = [],
+    start = inside(0) ? null : 0,
+    prevT = 0,
+    prevInside = start === null;
+  for (var k = 1; k <= n; k++) {
+    var t = k / n,
+      isInside = inside(t);
+    if (isInside !== prevInside) {
+      // bisect, keeping lo on the side of prevT and hi on the side of t
+      var lo = prevT,
+        hi = t;
+      for (var j = 0; j < 50; j++) {
+        var mid = (lo + hi) / 2;
+        if (inside(mid) === prevInside) lo = mid;
+        else hi = mid;
+      }
+      // the border itself counts as outside
+      if (prevInside) start = hi;
+      else if (lo > start) intervals.push([start, lo]);
+    }
+    prevT = t;
+    prevInside = isInside;
+  }
+  if (!prevInside && start < 1) intervals.push([start, 1]);
+  return intervals;
+};
+
+/*
+ * Takes p0, p1: the start and end points of a segment.
+ * Takes t: the parameter along the segment.
+ * Returns an object: the direction of the segment at t, not normalized.
+ */
+var getSegmentTangent = function(p0, p1, t) {
+  if (!p1.c) return { x: p1.x - p0.x, y: p1.y - p0.y };
+  var s = 1 - t,
+    c0 = p1.c[0],
+    c1 = p1.c[1];
+  return {
+    x: 3 * s * s * (c0.x - p0.x) + 6 * s * t * (c1.x - c0.x) + 3 * t * t * (p1.x - c1.x),
+    y: 3 * s * s * (c0.y - p0.y) + 6 * s * t * (c1.y - c0.y) + 3 * t * t * (p1.y - c1.y)
+  };
+};
+
+/*
+ * Takes the points that represent two line segments:
+ *  A and B are line segment 1, C and D are line segment 2.
+ * Returns the shortest distance between the two line segments, 0 if they intersect.
+ */
+var getSegmentDistance = function(aX, aY, bX, bY, cX, cY, dX, dY) {
+  if (getLineIntersection(aX, aY, bX, bY, cX, cY, dX, dY)) return 0;
+  var pairs = [[[aX, aY], [bX, bY], [cX, cY]], [[aX, aY], [bX, bY], [dX, dY]],
+      [[cX, cY], [dX, dY], [aX, aY]], [[cX, cY], [dX, dY], [bX, bY]]],
+    dist = Infinity;
+  for (var i = 0; i < pairs.length; i++) {
+    var closest = getClosestPointOnSegment(pairs[i][0], pairs[i][1], pairs[i][2]);
+    dist = Math.min(dist, getLength([closest[0] - pairs[i][2][0], closest[1] - pairs[i][2][1]]));
+  }
+  return dist;
+};
+
+/*
+ * Takes cX, cY: the coordinates of the center of the circle
+ * Takes r: the radius of the circle
+ * Returns the circle as a region for getOutsideIntervals. touchesSegment(aX, aY, bX, bY) tells whether
+ *   the line segment AB gets into the circle. Straight segments are cut exactly where withinCircle changes,
+ *   with outsideIntervals(p0, p1). distance(x, y) is the signed distance to the border of the circle.
+ */
+var circleRegion = function(cX, cY, r) {
+  var contains = function(x, y) {
+    return withinCircle(x, y, cX, cY, r);
+  };
+  return {
+    contains: contains,
+    distance: function(x, y) {
+      return getDistance(x, y, cX, cY) - r;
+    },
+    outsideIntervals: function(p0, p1) {
+      return getConvexOutsideIntervals(p0, p1, function(x, y) { return getDistance(x, y, cX, cY) - r; }, contains);
+    },
+    touchesSegment: function(aX, aY, bX, bY) {
+      var closest = getClosestPointOnSegment([aX, aY], [bX, bY], [cX, cY]);
+      return getLength([closest[0] - cX, closest[1] - cY]) < r;
+    },
+    bounds: { minX: cX - r, minY: cY - r, maxX: cX + r, maxY: cY + r },
+    step: r / 8
+  };
+};
+
+/*
+ * Takes aX, aY, bX, bY: the components of the points that define the line segment AB
+ * Takes r: the "eraseRadius."
+ * Returns the capsule around AB as a region for getOutsideIntervals, see circleRegion.
+ */
+var capsuleRegion = function(aX, aY, bX, bY, r) {
+  var contains = function(x, y) {
+    return withinCapsule(x, y, aX, aY, bX, bY, r).indexOf(1) !== -1 ? 1 : 0;
+  };
+  var distance = function(x, y) {
+    var closest = getClosestPointOnSegment([aX, aY], [bX, bY], [x, y]);
+    return getLength([closest[0] - x, closest[1] - y]) - r;
+  };
+  return {
+    contains: contains,
+    distance: distance,
+    outsideIntervals: function(p0, p1) {
+      return getConvexOutsideIntervals(p0, p1, distance, contains);
+    },
+    touchesSegment: function(cX, cY, dX, dY) {
+      return getSegmentDistance(aX, aY, bX, bY, cX, cY, dX, dY) < r;
+    },
+    bounds: { minX: Math.min(aX, bX) - r, minY: Math.min(aY, bY) - r, maxX: Math.max(aX, bX) + r, maxY: Math.max(aY, bY) + r },
+    step: r / 8
+  };
+};
+
+/*
+ * Takes a point of the erasePath and the eraseRadius.
+ * Returns the radius of the eraser at that point: its own r if it has one, the eraseRadius if not.
+ */
+var getPointRadius = function(point, eraseRadius) {
+  return point.r === undefined ? eraseRadius : point.r;
+};
+
+/*
+ * Takes x, y: the point in question.
+ * Takes aX, aY, rA, bX, bY, rB: the centers and radii of the circles at the ends of a tapered capsule.
+ * Returns the signed distance from the point to the border of the tapered capsule, negative inside.
+ *   The tapered capsule is the union of the circles along AB whose radius changes evenly from rA to rB.
+ */
+var getTaperedDistance = function(x, y, aX, aY, rA, bX, bY, rB) {
+  var length = getDistance(aX, aY, bX, bY);
+  if (length <= Math.abs(rA - rB)) return rA > rB ? getDistance(x, y, aX, aY) - rA : getDistance(x, y, bX, bY) - rB;
+
+  // the point in coordinates along the axis from A to B (along) and away from it (across)
+  var uX = (bX - aX) / length,
+    uY = (bY - aY) / length,
+    along = (x - aX) * uX + (y - aY) * uY,
+    across = Math.abs((x - aX) * uY - (y - aY) * uX);
+
+  // sin and cos of the angle between the lines touching both circles and the axis
+  var sin = (rA - rB) / length,
+    cos = Math.sqrt(1 - sin * sin),
+    k = along * cos - across * sin;
+  if (k < 0) return getLength([across, along]) - rA;
+  if (k > cos * length) return getLength([across, along - length]) - rB;
+  return across * cos + along * sin - rA;
+};
+
+/*
+ * Takes aX, aY, rA, bX, bY, rB: the centers and radii of the circles at the ends of a tapered capsule.
+ * Returns the tapered capsule as a region for getOutsideIntervals, see circleRegion. As it is convex, it has
+ *   a distance(x, y) method as well, the signed distance to its border, and outsideIntervals(p0, p1) for the
+ *   parts of a straight segment outside of it.
+ */
+var taperedCapsuleRegion = function(aX, aY, rA, bX, bY, rB) {
+  var distance = function(x, y) {
+    return getTaperedDistance(x, y, aX, aY, rA, bX, bY, rB);
+  };
+  return {
+    contains: function(x, y) {
+      return distance(x, y) < 0 ? 1 : 0;
+    },
+    distance: distance,
+    outsideIntervals: function(p0, p1) {
+      return getConvexOutsideIntervals(p0, p1, distance);
+    },
+    touchesSegment: function(cX, cY, dX, dY) {
+      var kept = getConvexOutsideIntervals({ x: cX, y: cY }, { x: dX, y: dY }, distance);
+      return kept.length !== 1 || kept[0][0] !== 0 || kept[0][1] !== 1;
+    },
+    bounds: {
+      minX: Math.min(aX - rA, bX - rB),
+      minY: Math.min(aY - rA, bY - rB),
+      maxX: Math.max(aX + rA, bX + rB),
+      maxY: Math.max(aY + rA, bY + rB)
+    },
+    step: Math.max(rA, rB) / 8
+  };
+};
+
+/*
+ * Takes p0, p1: the start and end points of a straight segment.
+ * Takes distance: the signed distance function of a convex region, negative inside.
+ * Takes contains: optional, the contains method of the region, to decide what is inside instead of the distance.
+ * Returns the parts of the segment outside the region as [a, b] parameter intervals, like getOutsideIntervals.
+ *   A straight segment meets a convex region in one piece at most, around the point of the segment deepest in the
+ *   region. The distance is convex along the segment, so that point is found by ternary search, and the ends of the
+ *   piece by bisection from there. Unlike sampling, this does not miss a region thinner than the sampling step.
+ */
+var getConvexOutsideIntervals = function(p0, p1, distance, contains) {
+  var at = function(t) { return distance(p0.x + t * (p1.x - p0.x), p0.y + t * (p1.y - p0.y)); },
+    inside = function(t) {
+      if (contains) return !!contains(p0.x + t * (p1.x - p0.x), p0.y + t * (p1.y - p0.y));
+      return at(t) < 0;
+    },
+    lo = 0,
+    hi = 1,
+    i;
+  for (i = 0; i < 100; i++) {
+    var m0 = lo + (hi - lo) / 3,
+      m1 = hi - (hi - lo) / 3;
+    if (at(m0) < at(m1)) hi = m1;
+    else lo = m0;
+  }
+  var deepest = [0, (lo + hi) / 2, 1].reduce(function(best, t) { return at(t) < at(best) ? t : best; });
+  if (!inside(deepest)) return [[0, 1]];
+
+  // bisect, keeping lo outside and hi inside; the border itself counts as outside
+  var border = function(outside) {
+    if (inside(outside)) return outside;
+    var o = outside,
+      n = deepest;
+    for (var j = 0; j < 60; j++) {
+      var mid = (o + n) / 2;
+      if (inside(mid)) n = mid;
+      else o = mid;
+    }
+    return o;
+  };
+  var a = border(0),
+    b = border(1),
+    intervals = [];
+  if (a > 0) intervals.push([0, a]);
+  if (b < 1) intervals.push([b, 1]);
+  return intervals;
+};
+
+/*
+ * Takes region: a circle or capsule region.
+ * Takes halfWidth: half the stroke width of a path with butt caps.
+ * Takes mode: 'visible' or 'covered', see erase.
+ * Returns a directional region that contains the points of the center line of the path that have to be erased:
+ *   for 'visible' those where the ink across the path touches the region,
+ *   for 'covered' those where the ink across the path lies in the region completely.
+ */
+var strokeRegion = function(region, halfWidth, mode) {
+  var b = region.bounds;
+  return {
+    directional: true,
+    contains: function(x, y, dx, dy) {
+      var len = getLength([dx, dy]);
+      if (len === 0) return region.contains(x, y);
+      // the ends of the line across the path, a flat cap if the path were cut here
+      var nX = -dy / len * halfWidth,
+        nY = dx / len * halfWidth;
+      if (mode === 'covered') return region.contains(x + nX, y + nY) && region.contains(x - nX, y - nY) ? 1 : 0;
+      return region.touchesSegment(x + nX, y + nY, x - nX, y - nY) ? 1 : 0;
+    },
+    bounds: { minX: b.minX - halfWidth, minY: b.minY - halfWidth, maxX: b.maxX + halfWidth, maxY: b.maxY + halfWidth },
+    step: region.step
+  };
+};
+
+/*
+ * getStrokeRadius and getStrokeRegion account for the stroke width of a path. With round caps the ink around every
+ *   point of the path is a circle of half the stroke width, so the eraser only has to grow ('visible': cut where the
+ *   ink meets the eraser) or shrink ('covered': cut where the ink is completely covered) by that much. Butt caps end
+ *   the ink flat across the path, which depends on the direction of the path and is left to strokeRegion.
+ * Returns the radius to erase the path with. It is 0 or less if the eraser cannot reach the path at all.
+ */
+var getStrokeRadius = function(path, eraseRadius, strokeMode) {
+  var halfWidth = (parseFloat(path['stroke-width']) || 0) / 2;
+  if (path['stroke-linecap'] !== 'round') return eraseRadius;
+  return strokeMode === 'covered' ? eraseRadius - halfWidth : eraseRadius + halfWidth;
+};
+
+/*
+ * Takes a path and the circle or capsule region it is erased with (built from getStrokeRadius).
+ * Returns the region the center line of the path has to be cut with.
+ */
+var getStrokeRegion = function(path, region, strokeMode) {
+  var halfWidth = (parseFloat(path['stroke-width']) || 0) / 2;
+  if (!halfWidth || path['stroke-linecap'] === 'round') return region;
+  return strokeRegion(region, halfWidth, strokeMode);
+};
+
+/*
+ * Takes a path and the circle of an eraser, see erase.
+ * Returns true if erasing would cut anything off the path, following the same rules as pointErase.
+ */
+var touchesCircle = function(path, cX, cY, eraseRadius, strokeMode, epsilon) {
+  var r = getStrokeRadius(path, eraseRadius, strokeMode),
+    coords = getClosedCoords(path);
+  if (r <= 0) return false;
+  if (coords.length === 1) return !!withinCircle(coords[0].x, coords[0].y, cX, cY, r);
+
+  var region = getStrokeRegion(path, circleRegion(cX, cY, r), strokeMode),
+    generic = isCurved(path) || region.directional;
+  if (!boundsOverlap(getPathBounds(path), region.bounds)) return false;
+  for (var i = 0; i < coords.length - 1; i++) {
+    var p0 = coords[i],
+      p1 = coords[i + 1];
+    if (segmentOutsideBounds(p0, p1, region.bounds)) continue;
+    if (generic) {
+      var kept = getOutsideIntervals(p0, p1, region);
+      if (kept.length !== 1 || kept[0][0] !== 0 || kept[0][1] !== 1) return true;
+    } else if (withinCircle(p0.x, p0.y, cX, cY, r) || withinCircle(p1.x, p1.y, cX, cY, r) ||
+      getCircleIntersections(p0.x, p0.y, p1.x, p1.y, cX, cY, r, epsilon)) return true;
+  }
+  return false;
+};
+
+/*
+ * Takes a path and the capsule of an eraser from point e0 to point e1, see erase. Points with a radius of their own
+ *   make a tapered capsule.
+ * Returns true if erasing would cut anything off the path, following the same rules as capsuleErase.
+ */
+var touchesCapsule = function(path, e0, e1, eraseRadius, strokeMode, epsilon) {
+  var r = getStrokeRadius(path, getPointRadius(e0, eraseRadius), strokeMode),
+    r1 = getStrokeRadius(path, getPointRadius(e1, eraseRadius), strokeMode),
+    coords = getClosedCoords(path),
+    tapered = r !== r1 && taperedCapsuleRegion(e0.x, e0.y, Math.max(0, r), e1.x, e1.y, Math.max(0, r1)),
+    inside = function(p) {
+      if (tapered) return !!tapered.contains(p.x, p.y);
+      return withinCapsule(p.x, p.y, e0.x, e0.y, e1.x, e1.y, r).indexOf(1) !== -1;
+    };
+  if (r <= 0 && r1 <= 0) return false;
+  if (coords.length === 1) return inside(coords[0]);
+
+  var region = getStrokeRegion(path, tapered || capsuleRegion(e0.x, e0.y, e1.x, e1.y, r), strokeMode),
+    generic = isCurved(path) || region.directional || !!tapered;
+  if (!boundsOverlap(getPathBounds(path), region.bounds)) return false;
+  for (var i = 0; i < coords.length - 1; i++) {
+    var p0 = coords[i],
+      p1 = coords[i + 1];
+    if (segmentOutsideBounds(p0, p1, region.bounds)) continue;
+    if (generic) {
+      var kept = getOutsideIntervals(p0, p1, region);
+      if (kept.length !== 1 || kept[0][0] !== 0 || kept[0][1] !== 1) return true;
+    } else if (inside(p0) || inside(p1) ||
+      getCapsuleIntersections(p0.x, p0.y, p1.x, p1.y, e0.x, e0.y, e1.x, e1.y, r, epsilon)) return true;
+  }
+  return false;
+};
+
+/*
+ * Takes two arrays of points.
+ * Returns true if they describe the same path: the same points, with the same control points for curves.
+ */
+var samePoints = function(a, b) {
+  if (a.length !== b.length) return false;
+  for (var i = 0; i < a.length; i++) {
+    if (a[i].x !== b[i].x || a[i].y !== b[i].y || !a[i].c !== !b[i].c) return false;
+    if (a[i].c && (a[i].c[0].x !== b[i].c[0].x || a[i].c[0].y !== b[i].c[0].y ||
+      a[i].c[1].x !== b[i].c[1].x || a[i].c[1].y !== b[i].c[1].y)) return false;
+  }
+  return true;
+};
+
+/*
+ * Takes a path.
+ * Returns its bounding box {minX, minY, maxX, maxY}, including the control points of curves, which is enough
+ *   to contain the whole path. The stroke width is not included.
+ */
+function getPathBounds(path) {
+  var b = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity },
+    add = function(p) {
+      if (p.x < b.minX) b.minX = p.x;
+      if (p.x > b.maxX) b.maxX = p.x;
+      if (p.y < b.minY) b.minY = p.y;
+      if (p.y > b.maxY) b.maxY = p.y;
+    };
+  for (var i = 0; i < path.coords.length; i++) {
+    add(path.coords[i]);
+    if (path.coords[i].c) {
+      add(path.coords[i].c[0]);
+      add(path.coords[i].c[1]);
+    }
+  }
+  return b;
+}
+
+/*
+ * Takes two bounding boxes.
+ * Returns true if they overlap. Boxes that only share a border do not, as the border of an eraser is outside of it.
+ */
+var boundsOverlap = function(a, b) {
+  return a.minX < b.maxX && a.maxX > b.minX && a.minY < b.maxY && a.maxY > b.minY;
+};
+
+/*
+ * Takes p0, p1: the start and end points of a segment.
+ * Takes bounds: a bounding box.
+ * Returns true if the segment lies completely outside the bounding box, or on its border.
+ */
+var segmentOutsideBounds = function(p0, p1, bounds) {
+  var minX = Math.min(p0.x, p1.x),
+    maxX = Math.max(p0.x, p1.x),
+    minY = Math.min(p0.y, p1.y),
+    maxY = Math.max(p0.y, p1.y);
+  if (p1.c) {
+    minX = Math.min(minX, p1.c[0].x, p1.c[1].x);
+    maxX = Math.max(maxX, p1.c[0].x, p1.c[1].x);
+    minY = Math.min(minY, p1.c[0].y, p1.c[1].y);
+    maxY = Math.max(maxY, p1.c[0].y, p1.c[1].y);
+  }
+  return minX >= bounds.maxX || maxX <= bounds.minX || minY >= bounds.maxY || maxY <= bounds.minY;
+};
+
+/*
+ * Takes cX, cY, r: the center and radius of a circle.
+ * Takes tolerance: how far the sides of the polygon may be from the circle.
+ * Returns the points of a polygon with its corners on the circle, counterclockwise (with the y axis pointing up).
+ */
+var getCirclePolygon = function(cX, cY, r, tolerance) {
+  var n = Math.max(8, Math.ceil(Math.PI / Math.acos(Math.max(-1, 1 - tolerance / r)))),
+    points = [];
+  for (var i = 0; i < n; i++) points.push({ x: cX + r * Math.cos(2 * Math.PI * i / n), y: cY + r * Math.sin(2 * Math.PI * i / n) });
+  return points;
+};
+
+/*
+ * Takes e0, r0, e1, r1: the points at the ends of a capsule and the radii around them.
+ * Takes tolerance: how far the polygon may be from the round ends of the capsule.
+ * Returns the points of a convex polygon around the capsule, counterclockwise (with the y axis pointing up):
+ *   an arc around e1 followed by an arc around e0, joined by the lines that touch both circles. The arcs are half
+ *   circles if the radii are the same. If one circle contains the other, the polygon is the larger circle.
+ */
+var getCapsulePolygon = function(e0, r0, e1, r1, tolerance) {
+  var length = getDistance(e0.x, e0.y, e1.x, e1.y);
+  if (length <= Math.abs(r0 - r1)) return r0 > r1 ? getCirclePolygon(e0.x, e0.y, r0, tolerance) : getCirclePolygon(e1.x, e1.y, r1, tolerance);
+
+  // the lines touching both circles are turned away from the axis by the difference of the radii
+  var angle = Math.atan2(e1.y - e0.y, e1.x - e0.x),
+    side = Math.PI / 2 - Math.asin((r0 - r1) / length),
+    points = [];
+  var arc = function(c, r, from, to) {
+    if (r <= 0) {
+      points.push({ x: c.x, y: c.y });
+      return;
+    }
+    var n = Math.max(2, Math.ceil((to - from) / (2 * Math.acos(Math.max(-1, 1 - tolerance / r)))));
+    for (var i = 0; i <= n; i++) {
+      var a = from + (to - from) * i / n;
+      points.push({ x: c.x + r * Math.cos(a), y: c.y + r * Math.sin(a) });
+    }
+  };
+  arc(e1, r1, angle - side, angle + side);
+  arc(e0, r0, angle + side, angle + 2 * Math.PI - side);
+  return points;
+};
+
+/*
+ * Takes a path and the tolerance to follow its curves with.
+ * Returns the rings of the area of the path: its outline followed by the outlines of its holes, each an array of
+ *   points without curves and without the first point repeated at the end.
+ */
+var getAreaRings = function(path, tolerance) {
+  var flatten = function(coords) {
+    var ring = [coords[0]];
+    for (var i = 1; i < coords.length; i++) {
+      if (coords[i].c) {
+        var points = [coords[i - 1], coords[i].c[0], coords[i].c[1], coords[i]],
+          length = 0;
+        for (var k = 1; k < points.length; k++) length += getDistance(points[k - 1].x, points[k - 1].y, points[k].x, points[k].y);
+        var n = Math.min(100, Math.max(2, Math.ceil(Math.sqrt(length / tolerance))));
+        for (var s = 1; s < n; s++) ring.push(getSegmentPoint(coords[i - 1], coords[i], s / n));
+      }
+      ring.push({ x: coords[i].x, y: coords[i].y });
+    }
+    var first = ring[0],
+      last = ring[ring.length - 1];
+    if (ring.length > 1 && first.x === last.x && first.y === last.y) ring.pop();
+    return ring;
+  };
+  var rings = [flatten(path.coords)];
+  for (var h = 0; h < (path.holes || []).length; h++) rings.push(flatten(path.holes[h]));
+  return rings;
+};
+
+/*
+ * Takes x, y: the point in question.
+ * Takes rings: arrays of points, each closed from its last point back to its first.
+ * Returns the winding number of the rings around the point: how often they go around it counterclockwise
+ *   (with the y axis pointing up), minus how often they go around it clockwise.
+ */
+var getWindingNumber = function(x, y, rings) {
+  var w = 0;
+  for (var r = 0; r < rings.length; r++) {
+    var ring = rings[r];
+    for (var i = 0; i < ring.length; i++) {
+      var a = ring[i],
+        b = ring[(i + 1) % ring.length],
+        side = (b.x - a.x) * (y - a.y) - (x - a.x) * (b.y - a.y);
+      if (a.y <= y) {
+        if (b.y > y && side > 0) w++;
+      } else if (b.y <= y && side < 0) w--;
+    }
+  }
+  return w;
+};
+
+/*
+ * Takes the points that represent two line segments:
+ *  A and B are line segment 1, C and D are line segment 2.
+ * Returns an array of [t, u] pairs: the parameters along AB and CD of the points where they meet. For segments
+ *   that overlap along a line, these are the ends of each segment that lie on the other one.
+ */
+var getSegmentCrossings = function(a, b, c, d) {
+  var rX = b.x - a.x, rY = b.y - a.y,
+    sX = d.x - c.x, sY = d.y - c.y,
+    qX = c.x - a.x, qY = c.y - a.y,
+    denom = rX * sY - rY * sX,
+    rr = rX * rX + rY * rY,
+    ss = sX * sX + sY * sY,
+    crossings = [];
+  if (rr === 0 || ss === 0) return crossings;
+
+  if (Math.abs(denom) > EPS * Math.sqrt(rr * ss)) {
+    var t = (qX * sY - qY * sX) / denom,
+      u = (qX * rY - qY * rX) / denom;
+    if (t >= 0 && t <= 1 && u >= 0 && u <= 1) crossings.push([t, u]);
+    return crossings;
+  }
+
+  // parallel: they only meet if they lie on the same line
+  if (Math.abs(qX * rY - qY * rX) > EPS * Math.sqrt(rr)) return crossings;
+  var onAB = function(p) { return ((p.x - a.x) * rX + (p.y - a.y) * rY) / rr; },
+    onCD = function(p) { return ((p.x - c.x) * sX + (p.y - c.y) * sY) / ss; },
+    tc = onAB(c), td = onAB(d), ua = onCD(a), ub = onCD(b);
+  if (tc >= 0 && tc <= 1) crossings.push([tc, 0]);
+  if (td >= 0 && td <= 1) crossings.push([td, 1]);
+  if (ua > 0 && ua < 1) crossings.push([0, ua]);
+  if (ub > 0 && ub < 1) crossings.push([1, ub]);
+  return crossings;
+};
+
+/*
+ * Takes rings: the outline and holes of a filled polygon, see getAreaRings.
+ * Takes evenOdd: true for the 'evenodd' fill rule, false for 'nonzero'.
+ * Takes erasers: the points of convex polygons, each counterclockwise (with the y axis pointing up). The eraser is
+ *   their union.
+ * Takes keepInside: true to keep what is inside the eraser instead, and cut away the rest.
+ * Returns what is left of the polygon after the eraser is cut out of it: an array of {coords, holes} polygons, or
+ *   null if nothing of it is cut away.
+ *
+ * The edges of the polygon and of the eraser are split wherever they cross any other edge. A piece of an edge is on
+ *   the border of what is left if what is left lies on one side of it but not on the other. These pieces, turned so
+ *   that what is left lies on their left, are then joined into rings. Rings that go around counterclockwise are
+ *   outlines, the others are holes, and every hole goes into the smallest outline around it.
+ */
+var subtractPolygon = function(rings, evenOdd, erasers, keepInside) {
+  var edges = [],
+    T = 1e-9,
+    i,
+    j,
+    k;
+  rings = rings.filter(function(ring) { return ring.length > 2; });
+  if (rings.length === 0) return null;
+  rings.concat(erasers).forEach(function(ring) {
+    for (var v = 0; v < ring.length; v++) edges.push({ a: ring[v], b: ring[(v + 1) % ring.length], cuts: [] });
+  });
+
+  // split the edges where they cross, using the same point object for both edges so the pieces join up exactly
+  for (i = 0; i < edges.length; i++) {
+    var ei = edges[i];
+    for (j = i + 1; j < edges.length; j++) {
+      var ej = edges[j];
+      if (Math.max(ei.a.x, ei.b.x) < Math.min(ej.a.x, ej.b.x) || Math.min(ei.a.x, ei.b.x) > Math.max(ej.a.x, ej.b.x) ||
+        Math.max(ei.a.y, ei.b.y) < Math.min(ej.a.y, ej.b.y) || Math.min(ei.a.y, ei.b.y) > Math.max(ej.a.y, ej.b.y)) continue;
+      var crossings = getSegmentCrossings(ei.a, ei.b, ej.a, ej.b);
+      for (k = 0; k < crossings.length; k++) {
+        var t = crossings[k][0],
+          u = crossings[k][1],
+          p = t <= T ? ei.a : t >= 1 - T ? ei.b : u <= T ? ej.a : u >= 1 - T ? ej.b :
+            { x: ei.a.x + t * (ei.b.x - ei.a.x), y: ei.a.y + t * (ei.b.y - ei.a.y) };
+        if (t > T && t < 1 - T) ei.cuts.push({ t: t, p: p });
+        if (u > T && u < 1 - T) ej.cuts.push({ t: u, p: p });
+      }
+    }
+  }
+
+  var bounds = getPathBounds({ coords: [].concat.apply([], rings.concat(erasers)) }),
+    scale = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY),
+    inPolygon = function(x, y) {
+      var w = getWindingNumber(x, y, rings);
+      return evenOdd ? w % 2 !== 0 : w !== 0;
+    },
+    inResult = function(x, y) {
+      return inPolygon(x, y) && (getWindingNumber(x, y, erasers) === 0) === !keepInside;
+    },
+    pieces = [],
+    seen = {},
+    changed = false,
+    key = function(p) { return p.x + ',' + p.y; };
+
+  for (i = 0; i < edges.length; i++) {
+    var cuts = edges[i].cuts.sort(function(m, n) { return m.t - n.t; }),
+      points = [edges[i].a].concat(cuts.map(function(cut) { return cut.p; }), [edges[i].b]);
+    for (k = 0; k < points.length - 1; k++) {
+      var a = points[k],
+        b = points[k + 1],
+        len = getDistance(a.x, a.y, b.x, b.y);
+      if (len === 0) continue;
+      // look just to the left and just to the right of the middle of the piece
+      var d = Math.min(len / 4, scale * 1e-7),
+        nX = -(b.y - a.y) / len * d,
+        nY = (b.x - a.x) / len * d,
+        mX = (a.x + b.x) / 2,
+        mY = (a.y + b.y) / 2,
+        left = inResult(mX + nX, mY + nY),
+        right = inResult(mX - nX, mY - nY);
+      if (!changed) {
+        var wasLeft = inPolygon(mX + nX, mY + nY),
+          wasRight = inPolygon(mX - nX, mY - nY);
+        changed = wasLeft !== left || wasRight !== right;
+      }
+      if (left === right) continue;
+      var piece = left ? { a: a, b: b } : { a: b, b: a },
+        id = key(piece.a) + ' ' + key(piece.b);
+      // an edge of the eraser can lie on an edge of the polygon
+      if (seen[id]) continue;
+      seen[id] = true;
+      pieces.push(piece);
+    }
+  }
+  if (!changed) return null;
+
+  // join the pieces into rings
+  var starts = {},
+    used = [],
+    outlines = [],
+    holes = [];
+  for (i = 0; i < pieces.length; i++) (starts[key(pieces[i].a)] = starts[key(pieces[i].a)] || []).push(i);
+  var next = function(point) {
+    var candidates = starts[key(point)] || [];
+    for (var c = 0; c < candidates.length; c++) {
+      if (!used[candidates[c]]) return candidates[c];
+    }
+    return -1;
+  };
+  for (i = 0; i < pieces.length; i++) {
+    if (used[i]) continue;
+    var ring = [],
+      n = i;
+    while (n !== -1) {
+      used[n] = true;
+      ring.push(pieces[n].a);
+      n = next(pieces[n].b);
+    }
+    if (ring.length < 3) continue;
+    var area = 0;
+    for (k = 0; k < ring.length; k++) area += ring[k].x * ring[(k + 1) % ring.length].y - ring[(k + 1) % ring.length].x * ring[k].y;
+    if (area > 0) outlines.push({ coords: ring, holes: [], area: area });
+    else if (area < 0) holes.push(ring);
+  }
+
+  outlines.sort(function(m, n) { return m.area - n.area; });
+  for (i = 0; i < holes.length; i++) {
+    // a point just inside what is left, next to the hole, lies inside the outline the hole belongs to
+    var h0 = holes[i][0],
+      h1 = holes[i][1],
+      hLen = getDistance(h0.x, h0.y, h1.x, h1.y),
+      hD = Math.min(hLen / 4, scale * 1e-7),
+      hX = (h0.x + h1.x) / 2 - (h1.y - h0.y) / hLen * hD,
+      hY = (h0.y + h1.y) / 2 + (h1.x - h0.x) / hLen * hD;
+    for (j = 0; j < outlines.length; j++) {
+      if (getWindingNumber(hX, hY, [outlines[j].coords]) !== 0) {
+        outlines[j].holes.push(holes[i]);
+        break;
+      }
+    }
+  }
+  return outlines.map(function(outline) { return { coords: outline.coords, holes: outline.holes }; });
+};
+
+/*
+ * Takes an array of points.
+ * Returns the corners of their convex hull, counterclockwise (with the y axis pointing up), without points on
+ *   its sides.
+ */
+var getConvexHull = function(points) {
+  var sorted = points.slice().sort(function(a, b) { return a.x - b.x || a.y - b.y; }),
+    cross = function(o, a, b) { return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x); },
+    lower = [],
+    upper = [],
+    i;
+  for (i = 0; i < sorted.length; i++) {
+    while (lower.length > 1 && cross(lower[lower.length - 2], lower[lower.length - 1], sorted[i]) <= 0) lower.pop();
+    lower.push(sorted[i]);
+  }
+  for (i = sorted.length - 1; i >= 0; i--) {
+    while (upper.length > 1 && cross(upper[upper.length - 2], upper[upper.length - 1], sorted[i]) <= 0) upper.pop();
+    upper.push(sorted[i]);
+  }
+  lower.pop();
+  upper.pop();
+  return lower.concat(upper);
+};
+
+/*
+ * Takes points: the corners of a convex polygon, counterclockwise (with the y axis pointing up), see getConvexHull.
+ * Returns the polygon as a region for getOutsideIntervals, see circleRegion, with the signed distance(x, y) to its
+ *   border and the exact outsideIntervals(p0, p1) of straight segments. A polygon of less than three corners has no
+ *   inside.
+ */
+var polygonRegion = function(points) {
+  var n = points.length,
+    bounds = getPathBounds({ coords: points });
+
+  var distance = function(x, y) {
+    var inside = n > 2,
+      depth = Infinity,
+      outside = Infinity;
+    for (var i = 0; i < n; i++) {
+      var a = points[i],
+        b = points[(i + 1) % n],
+        len = getDistance(a.x, a.y, b.x, b.y),
+        closest = getClosestPointOnSegment([a.x, a.y], [b.x, b.y], [x, y]);
+      outside = Math.min(outside, getLength([closest[0] - x, closest[1] - y]));
+      if (len === 0) continue;
+      // how far the point is on the inner side of the line through the side
+      var side = ((b.x - a.x) * (y - a.y) - (b.y - a.y) * (x - a.x)) / len;
+      if (side <= 0) inside = false;
+      depth = Math.min(depth, side);
+    }
+    return inside ? -depth : outside;
+  };
+
+  return {
+    contains: function(x, y) {
+      if (n < 3) return 0;
+      for (var i = 0; i < n; i++) {
+        var a = points[i],
+          b = points[(i + 1) % n];
+        if ((b.x - a.x) * (y - a.y) - (b.y - a.y) * (x - a.x) <= 0) return 0;
+      }
+      return 1;
+    },
+    distance: distance,
+    // the segment is clipped to the inner side of every side of the polygon in turn (Cyrus-Beck)
+    outsideIntervals: function(p0, p1) {
+      var enter = 0,
+        exit = 1;
+      if (n < 3) return [[0, 1]];
+      for (var i = 0; i < n && enter < exit; i++) {
+        var a = points[i],
+          b = points[(i + 1) % n],
+          // the outward normal of the side
+          nX = b.y - a.y,
+          nY = a.x - b.x,
+          num = nX * (a.x - p0.x) + nY * (a.y - p0.y),
+          den = nX * (p1.x - p0.x) + nY * (p1.y - p0.y);
+        if (den === 0) {
+          if (num <= 0) return [[0, 1]];
+        } else if (den > 0) exit = Math.min(exit, num / den);
+        else enter = Math.max(enter, num / den);
+      }
+      if (enter >= exit) return [[0, 1]];
+      var intervals = [];
+      if (enter > 0) intervals.push([0, enter]);
+      if (exit < 1) intervals.push([exit, 1]);
+      return intervals;
+    },
+    touchesSegment: function(cX, cY, dX, dY) {
+      var kept = this.outsideIntervals({ x: cX, y: cY }, { x: dX, y: dY });
+      return kept.length !== 1 || kept[0][0] !== 0 || kept[0][1] !== 1;
+    },
+    bounds: bounds,
+    step: Math.max(EPS, Math.min(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) / 8)
+  };
+};
+
+/*
+ * Takes region: a convex region with a distance method.
+ * Takes offset: how far to grow the region, or shrink it if negative.
+ * Returns the grown or shrunk region, which is convex as well.
+ */
+var offsetRegion = function(region, offset) {
+  var b = region.bounds,
+    grow = Math.max(0, offset);
+  var distance = function(x, y) {
+    return region.distance(x, y) - offset;
+  };
+  return {
+    contains: function(x, y) {
+      return distance(x, y) < 0 ? 1 : 0;
+    },
+    distance: distance,
+    outsideIntervals: function(p0, p1) {
+      return getConvexOutsideIntervals(p0, p1, distance);
+    },
+    touchesSegment: function(cX, cY, dX, dY) {
+      var kept = getConvexOutsideIntervals({ x: cX, y: cY }, { x: dX, y: dY }, distance);
+      return kept.length !== 1 || kept[0][0] !== 0 || kept[0][1] !== 1;
+    },
+    bounds: { minX: b.minX - grow, minY: b.minY - grow, maxX: b.maxX + grow, maxY: b.maxY + grow },
+    step: region.step
+  };
+};
+
+/*
+ * The same as getStrokeRegion, for the region of an eraser shape: round caps grow the region by half the stroke
+ *   width ('visible') or shrink it by that much ('covered'), which needs the distance method of a convex region.
+ *   Shapes without one cut paths with round caps as if they had butt caps.
+ */
+var getShapeStrokeRegion = function(path, region, strokeMode) {
+  var halfWidth = (parseFloat(path['stroke-width']) || 0) / 2;
+  if (!halfWidth) return region;
+  if (path['stroke-linecap'] !== 'round' || !region.distance) return strokeRegion(region, halfWidth, strokeMode);
+  return offsetRegion(region, strokeMode === 'covered' ? -halfWidth : halfWidth);
+};
+
+/*
+ * Takes a path and a region, see getOutsideIntervals.
+ * Returns true if erasing the region would cut anything off the path, following the same rules as regionErase.
+ */
+var touchesRegion = function(path, region) {
+  var coords = getClosedCoords(path);
+  if (coords.length === 1) return !!region.contains(coords[0].x, coords[0].y);
+  if (!boundsOverlap(getPathBounds(path), region.bounds)) return false;
+  for (var i = 0; i < coords.length - 1; i++) {
+    if (segmentOutsideBounds(coords[i], coords[i + 1], region.bounds)) continue;
+    var kept = getOutsideIntervals(coords[i], coords[i + 1], region);
+    if (kept.length !== 1 || kept[0][0] !== 0 || kept[0][1] !== 1) return true;
+  }
+  return false;
+};
+
+/*
+ * Takes points: the corners of a closed polygon, which may cross itself.
+ * Takes evenOdd: true for the 'evenodd' fill rule, false for 'nonzero'.
+ * Returns the inside of the polygon as a region for getOutsideIntervals, see circleRegion. Straight segments are
+ *   cut wherever they cross a side of the polygon, and every piece in between is inside or outside as a whole.
+ */
+var lassoRegion = function(points, evenOdd) {
+  var bounds = getPathBounds({ coords: points }),
+    n = points.length;
+  var inside = function(x, y) {
+    var w = getWindingNumber(x, y, [points]);
+    return evenOdd ? w % 2 !== 0 : w !== 0;
+  };
+  return {
+    contains: function(x, y) {
+      return n > 2 && inside(x, y) ? 1 : 0;
+    },
+    outsideIntervals: function(p0, p1) {
+      var cuts = [0, 1],
+        intervals = [],
+        k;
+      if (n < 3) return [[0, 1]];
+      for (k = 0; k < n; k++) {
+        var a = points[k],
+          b = points[(k + 1) % n],
+          t = getLineIntersectionParameter(p0.x, p0.y, p1.x, p1.y, a.x, a.y, b.x, b.y);
+        if (t !== null) cuts.push(t);
+      }
+      cuts.sort(function(m, o) { return m - o; });
+      for (k = 0; k < cuts.length - 1; k++) {
+        if (cuts[k] === cuts[k + 1]) continue;
+        var middle = getSegmentPoint(p0, p1, (cuts[k] + cuts[k + 1]) / 2);
+        if (inside(middle.x, middle.y)) continue;
+        // a piece that starts where the last one ended continues it
+        var last = intervals[intervals.length - 1];
+        if (last && last[1] === cuts[k]) last[1] = cuts[k + 1];
+        else intervals.push([cuts[k], cuts[k + 1]]);
+      }
+      return intervals;
+    },
+    bounds: bounds,
+    step: Math.max(EPS, Math.min(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) / 64)
+  };
+};
+
+/*
+ * Takes regions: an array of regions, see getOutsideIntervals.
+ * Returns a region that contains every point that is in any of them, or null if there are none. Straight segments
+ *   are cut exactly if all of the regions can do that: what is outside of the union is outside of every region.
+ */
+var unionRegion = function(regions) {
+  if (regions.length < 2) return regions[0] || null;
+  var exact = regions.every(function(region) { return region.outsideIntervals && !region.directional; }),
+    union = {
+      directional: regions.some(function(region) { return region.directional; }),
+      contains: function(x, y, dx, dy) {
+        for (var i = 0; i < regions.length; i++) {
+          if (regions[i].contains(x, y, dx, dy)) return 1;
+        }
+        return 0;
+      },
+      bounds: {
+        minX: Math.min.apply(null, regions.map(function(region) { return region.bounds.minX; })),
+        minY: Math.min.apply(null, regions.map(function(region) { return region.bounds.minY; })),
+        maxX: Math.max.apply(null, regions.map(function(region) { return region.bounds.maxX; })),
+        maxY: Math.max.apply(null, regions.map(function(region) { return region.bounds.maxY; }))
+      },
+      step: Math.min.apply(null, regions.map(function(region) { return region.step; }))
+    };
+  if (exact) {
+    union.outsideIntervals = function(p0, p1) {
+      var intervals = [[0, 1]];
+      for (var i = 0; i < regions.length && intervals.length; i++) {
+        var other = getOutsideIntervals(p0, p1, regions[i]),
+          both = [];
+        for (var a = 0; a < intervals.length; a++) {
+          for (var b = 0; b < other.length; b++) {
+            var from = Math.max(intervals[a][0], other[b][0]),
+              to = Math.min(intervals[a][1], other[b][1]);
+            if (from < to) both.push([from, to]);
+          }
+        }
+        intervals = both;
+      }
+      return intervals;
+    };
+  }
+  return union;
+};
+
+/*
+ * Takes outside: the parts of a segment outside a region, as getOutsideIntervals returns them.
+ * Returns the parts in between, those inside the region, in the same form.
+ */
+var getInsideIntervals = function(outside) {
+  var inside = [],
+    from = 0;
+  for (var i = 0; i < outside.length; i++) {
+    if (outside[i][0] > from) inside.push([from, outside[i][0]]);
+    from = outside[i][1];
+  }
+  if (from < 1) inside.push([from, 1]);
+  return inside;
+};
+
+/*
+ * Takes m: an {a, b, c, d, e, f} matrix, as in SVG, that maps the point x, y to a x + c y + e, b x + d y + f.
+ * Returns the matrix that maps the points back.
+ */
+var invertTransform = function(m) {
+  var det = m.a * m.d - m.b * m.c;
+  return {
+    a: m.d / det,
+    b: -m.b / det,
+    c: -m.c / det,
+    d: m.a / det,
+    e: (m.c * m.f - m.d * m.e) / det,
+    f: (m.b * m.e - m.a * m.f) / det
+  };
+};
+
+/*
+ * Takes m, n: two matrices.
+ * Returns the matrix that maps a point by n first and by m after that.
+ */
+var multiplyTransforms = function(m, n) {
+  return {
+    a: m.a * n.a + m.c * n.b,
+    b: m.b * n.a + m.d * n.b,
+    c: m.a * n.c + m.c * n.d,
+    d: m.b * n.c + m.d * n.d,
+    e: m.a * n.e + m.c * n.f + m.e,
+    f: m.b * n.e + m.d * n.f + m.f
+  };
+};
+
+/*
+ * Takes a matrix and a point.
+ * Returns the point the matrix maps it to, as a new {x, y} object.
+ */
+var transformPoint = function(m, point) {
+  return { x: m.a * point.x + m.c * point.y + m.e, y: m.b * point.x + m.d * point.y + m.f };
+};
+
+/*
+ * Takes a path and the transform option of erase().
+ * Returns the matrix from the coordinates of the path to those of the erasePath: its own transform followed by the
+ *   option, either of them, or null if neither is given.
+ */
+var getPathTransform = function(path, transform) {
+  if (path.transform && transform) return multiplyTransforms(transform, path.transform);
+  return path.transform || transform || null;
+};
+
+/*
+ * Takes a matrix.
+ * Returns how much longer it makes a distance at most, and whether it makes all distances that much longer, as
+ *   rotations, mirroring and uniform scales do: {max, uniform}.
+ */
+var getTransformScale = function(m) {
+  var sum = m.a * m.a + m.b * m.b + m.c * m.c + m.d * m.d,
+    det = m.a * m.d - m.b * m.c,
+    spread = Math.sqrt(Math.max(0, sum * sum - 4 * det * det));
+  return { max: Math.sqrt((sum + spread) / 2), uniform: spread <= EPS * sum };
+};
+
+/*
+ * Takes region: a region for getOutsideIntervals in the coordinates of the erasePath.
+ * Takes m: the matrix from the coordinates of a path to those of the erasePath.
+ * Returns the same region in the coordinates of the path: every point, and the direction of the path for a
+ *   directional region, is mapped into the coordinates of the erasePath and asked there. A circle becomes an ellipse
+ *   and a capsule a swept ellipse where the matrix scales unevenly. Straight segments stay straight, and the points
+ *   along them keep their parameters, so the segments are cut as exactly as the region cuts them. The signed distance
+ *   is only kept where the matrix scales evenly, as the distance to an ellipse is not that to a circle scaled.
+ */
+var transformRegion = function(region, m) {
+  var inverse = invertTransform(m),
+    scale = getTransformScale(m),
+    b = region.bounds,
+    corners = [{ x: b.minX, y: b.minY }, { x: b.maxX, y: b.minY }, { x: b.maxX, y: b.maxY }, { x: b.minX, y: b.maxY }];
+  var result = {
+    directional: region.directional,
+    contains: function(x, y, dx, dy) {
+      var p = transformPoint(m, { x: x, y: y });
+      if (!region.directional) return region.contains(p.x, p.y);
+      return region.contains(p.x, p.y, m.a * dx + m.c * dy, m.b * dx + m.d * dy);
+    },
+    bounds: getPathBounds({ coords: corners.map(function(corner) { return transformPoint(inverse, corner); }) }),
+    step: region.step / scale.max
+  };
+  if (region.outsideIntervals) {
+    result.outsideIntervals = function(p0, p1) {
+      return region.outsideIntervals(transformPoint(m, p0), transformPoint(m, p1));
+    };
+  }
+  if (region.touchesSegment) {
+    result.touchesSegment = function(aX, aY, bX, bY) {
+      var a = transformPoint(m, { x: aX, y: aY }),
+        c = transformPoint(m, { x: bX, y: bY });
+      return region.touchesSegment(a.x, a.y, c.x, c.y);
+    };
+  }
+  if (region.distance && scale.uniform) {
+    result.distance = function(x, y) {
+      var p = transformPoint(m, { x: x, y: y });
+      return region.distance(p.x, p.y) / scale.max;
+    };
+  }
+  return result;
+};
+
+/*
+ * Takes points: a polygon, counterclockwise as getPolygon of an eraser shape returns it.
+ * Takes m: a matrix.
+ * Returns the polygon mapped by the matrix, still counterclockwise: a matrix that mirrors turns it around.
+ */
+var transformPolygon = function(points, m) {
+  var mapped = points.map(function(point) { return transformPoint(m, point); });
+  return m.a * m.d - m.b * m.c < 0 ? mapped.reverse() : mapped;
+};
+
+/*
+ * Takes shape: an eraser shape, see circleEraser.
+ * Takes m: the matrix from the coordinates of a path to those of the erasePath.
+ * Returns the shape as it covers the path in its own coordinates. The shape is placed at the points of the erasePath
+ *   as before, and its regions and polygons are mapped into the coordinates of the path.
+ */
+var transformEraser = function(shape, m) {
+  var inverse = invertTransform(m);
+  return {
+    getRegion: function(e0, r0, e1, r1, eraseRadius) {
+      return transformRegion(shape.getRegion(e0, r0, e1, r1, eraseRadius), m);
+    },
+    getPolygon: function(e0, r0, e1, r1, eraseRadius, tolerance) {
+      return transformPolygon(shape.getPolygon(e0, r0, e1, r1, eraseRadius, tolerance), inverse);
+    }
+  };
+};
+
+/*
+ * Takes the erasePath and the eraseRadius of erase(), its eraser shape and the matrix from the coordinates of a path
+ *   to those of the erasePath.
+ * Returns {erasePath, eraseRadius, shape}: the eraser in the coordinates of the path. Where the matrix scales evenly,
+ *   a round eraser stays round, so the erasePath and the radii are mapped into the coordinates of the path and it is
+ *   cut as exactly as one without a transform. Otherwise the shape is mapped by transformEraser.
+ */
+var getLocalEraser = function(erasePath, eraseRadius, shape, m) {
+  var scale = getTransformScale(m);
+  if (!shape.round || !scale.uniform) return { erasePath: erasePath, eraseRadius: eraseRadius, shape: transformEraser(shape, m) };
+  var inverse = invertTransform(m);
+  return {
+    erasePath: erasePath.map(function(point) {
+      var local = transformPoint(inverse, point);
+      if (point.r !== undefined) local.r = point.r / scale.max;
+      return local;
+    }),
+    eraseRadius: eraseRadius / scale.max,
+    shape: shape
+  };
+};
@@ -0,0 +1,160 @@
+/*
+ *  Filename: erase_history.js
+ *  Undo and redo for erase operations.
+ */
+
+/**
+  An EraseHistory holds the current paths of a drawing and erases them with eraseChanges(), remembering what
+  every erase operation did so it can be undone and redone.
+
+    var history = new EraseHistory(paths, {limit: 50});
+    paths = history.erase(erasePath, eraseRadius);
+    paths = history.undo();
+    paths = history.redo();
+
+  Only the paths an operation removed and the fragments it added are stored, together with their positions,
+  never a copy of the whole drawing. Several operations can be coalesced into one undo step by wrapping them in
+  beginGroup() and endGroup(), for example all the strokes of a multi-touch gesture. limit is the number of undo
+  steps that are kept (100 if not given); older steps are forgotten.
+
+  erase() takes the same erasePath, eraseRadius and options arguments as erase() in erase.js.
+  erase(), undo() and redo() all return the current paths, which are also found in history.paths.
+*/
+
+// This line is for the automated tests with node.js
+if (typeof(exports) !== 'undefined') {
+  var eraseChanges = require('./erase.js').eraseChanges;
+  exports.EraseHistory = EraseHistory;
+}
+
+function EraseHistory(paths, options) {
+  options = options || {};
+  this.paths = (paths || []).slice();
+  this.limit = options.limit === undefined ? 100 : options.limit;
+  this.undoStack = [];
+  this.redoStack = [];
+  this.group = null;
+}
+
+/*
+ *  Takes the arguments of erase() after the paths.
+ *  Erases the current paths and records the operation.
+ *  Returns the paths that are left.
+ */
+EraseHistory.prototype.erase = function(erasePath, eraseRadius, options) {
+  var changes = eraseChanges(this.paths, erasePath, eraseRadius, options),
+    operation = getEraseOperation(this.paths, changes);
+  this.paths = changes.paths;
+  if (!operation) return this.paths;
+
+  this.redoStack = [];
+  if (this.group) this.group.push(operation);
+  else this.push([operation]);
+  return this.paths;
+};
+
+/*
+ *  Undoes the last step, if there is one.
+ *  Returns the current paths.
+ */
+EraseHistory.prototype.undo = function() {
+  this.endGroup();
+  var step = this.undoStack.pop();
+  if (!step) return this.paths;
+  for (var i = step.length - 1; i >= 0; i--) this.paths = applyEraseOperation(this.paths, step[i].added, step[i].removed);
+  this.redoStack.push(step);
+  return this.paths;
+};
+
+/*
+ *  Redoes the last step that was undone, if there is one.
+ *  Returns the current paths.
+ */
+EraseHistory.prototype.redo = function() {
+  this.endGroup();
+  var step = this.redoStack.pop();
+  if (!step) return this.paths;
+  for (var i = 0; i < step.length; i++) this.paths = applyEraseOperation(this.paths, step[i].removed, step[i].added);
+  this.push(step);
+  return this.paths;
+};
+
+EraseHistory.prototype.canUndo = function() {
+  return this.undoStack.length > 0 || (this.group !== null && this.group.length > 0);
+};
+
+EraseHistory.prototype.canRedo = function() {
+  return this.redoStack.length > 0;
+};
+
+/*
+ *  Starts coalescing: all operations until endGroup() is called are undone and redone as one step.
+ */
+EraseHistory.prototype.beginGroup = function() {
+  this.endGroup();
+  this.group = [];
+};
+
+EraseHistory.prototype.endGroup = function() {
+  var group = this.group;
+  this.group = null;
+  if (group && group.length > 0) this.push(group);
+};
+
+/*
+ *  Forgets all undo and redo steps. The current paths stay.
+ */
+EraseHistory.prototype.clear = function() {
+  this.undoStack = [];
+  this.redoStack = [];
+  this.group = null;
+};
+
+/*
+ *  Takes a step (an array of operations) and adds it to the undo stack, dropping the oldest steps beyond the limit.
+ */
+EraseHistory.prototype.push = function(step) {
+  this.undoStack.push(step);
+  if (this.undoStack.length > this.limit) this.undoStack.splice(0, this.undoStack.length - this.limit);
+};
+
+/*
+ *  Takes the paths before an erase operation and the change set eraseChanges() returned for it.
+ *  Returns the operation: {removed: [[index before, path]], added: [[index after, path]]}, or null if nothing changed.
+ */
+function getEraseOperation(paths, changes) {
+  var removed = [],
+    added = [],
+    u = 0,
+    i;
+
+  for (i = 0; i < changes.deleted.length; i++) removed.push([changes.deleted[i], paths[changes.deleted[i]]]);
+  for (i = 0; i < changes.replaced.length; i++) removed.push([changes.replaced[i].source, paths[changes.replaced[i].source]]);
+  removed.sort(function(a, b) { return a[0] - b[0]; });
+
+  // everything in the new paths that is not one of the unchanged paths, in order, was added
+  for (i = 0; i < changes.paths.length; i++) {
+    if (u < changes.unchanged.length && changes.paths[i] === paths[changes.unchanged[u]]) u++;
+    else added.push([i, changes.paths[i]]);
+  }
+
+  if (removed.length === 0 && added.length === 0) return null;
+  return { removed: removed, added: added };
+}
+
+/*
+ *  Takes an array of paths, the [index, path] pairs to take out of it and the [index, path] pairs to put in,
+ *  both sorted by index. The indices of the pairs taken out refer to paths, those put in to the result.
+ *  Returns a new array of paths.
+ */
+function applyEraseOperation(paths, takeOut, putIn) {
+  var result = [],
+    t = 0,
+    i;
+  for (i = 0; i < paths.length; i++) {
+    if (t < takeOut.length && takeOut[t][0] === i) t++;
+    else result.push(paths[i]);
+  }
+  for (i = 0; i < putIn.length; i++) result.splice(putIn[i][0], 0, putIn[i][1]);
+  return result;
+}
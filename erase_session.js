@@ -0,0 +1,128 @@
+/*
+ *  Filename: erase_session.js
+ *  Erasing while the eraser is dragged, one segment of the eraser path at a time.
+ */
+
+/**
+  An EraseSession erases a drawing while the eraser stroke is still being drawn, so the ink can disappear on every
+  pointer move instead of only when the pointer is lifted.
+
+    var session = new EraseSession(paths, eraseRadius);
+    session.begin(point);                // pointer down
+    var changes = session.move(point);   // pointer move, returns what changed
+    changes = session.end();             // pointer up
+
+  Every move() only erases the capsule from the previous point of the stroke to the new one. After end(), the paths
+  in session.paths are the same as one erase() call with the whole stroke would have left, because erase() works
+  through the capsules of the eraser path one after the other in the same way. A stroke that never moved is erased
+  as a circle by end(). begin() does not erase anything yet, as erase() does not treat the first point of a longer
+  eraser path on its own either. In lasso mode and with crop nothing is erased before end(), which erases with the whole
+  stroke.
+
+  move() and end() return {removed: [paths], added: [paths]}: the paths that were cut or deleted, and the fragments
+  that took the place of the cut ones. Every other path stays the same object.
+
+  Instead of an array of paths the session can work on an EraseHistory or an EraseIndex. Their erase() is then used,
+  and a stroke becomes one undo step of the history. options are passed on to erase() unchanged.
+*/
+
+// This line is for the automated tests with node.js
+if (typeof(exports) !== 'undefined') {
+  var eraseLib = require('./erase.js'),
+    eraseChanges = eraseLib.eraseChanges,
+    getEraseOptions = eraseLib.getEraseOptions;
+  exports.EraseSession = EraseSession;
+}
+
+function EraseSession(target, eraseRadius, options) {
+  this.target = Array.isArray(target) ? null : target;
+  this.paths = Array.isArray(target) ? target : target.paths;
+  this.eraseRadius = eraseRadius;
+  this.options = options;
+  // a lasso only encloses something as a whole, and cropping to every capsule in turn would keep only what is in all
+  //   of them, so both are erased with the whole stroke when it ends
+  var read = getEraseOptions(eraseRadius, options);
+  this.whole = read.mode === 'lasso' || !!read.crop;
+  this.erasePath = null;
+  this.moved = false;
+}
+
+/*
+ *  Takes the point where the eraser went down.
+ */
+EraseSession.prototype.begin = function(point) {
+  if (this.erasePath) this.end();
+  point = toPoint(point);
+  this.erasePath = [point];
+  this.moved = false;
+  if (this.target && this.target.beginGroup) this.target.beginGroup();
+};
+
+/*
+ *  Takes the point the eraser moved to.
+ *  Erases the capsule from the previous point to this one.
+ *  Returns the paths that changed.
+ */
+EraseSession.prototype.move = function(point) {
+  if (!this.erasePath) {
+    this.begin(point);
+    return { removed: [], added: [] };
+  }
+  point = toPoint(point);
+  var last = this.erasePath[this.erasePath.length - 1];
+  // the same point twice does not make a capsule, cleanPath would have dropped it
+  if (last.x === point.x && last.y === point.y) return { removed: [], added: [] };
+
+  this.erasePath.push(point);
+  this.moved = true;
+  if (this.whole) return { removed: [], added: [] };
+  return this.apply([last, point]);
+};
+
+/*
+ *  Ends the stroke. If the eraser never moved, the circle around the point where it went down is erased.
+ *  Returns the paths that changed.
+ */
+EraseSession.prototype.end = function() {
+  var changes = { removed: [], added: [] };
+  if (!this.erasePath) return changes;
+  if (this.whole) changes = this.apply(this.erasePath);
+  else if (!this.moved) changes = this.apply([this.erasePath[0]]);
+  this.erasePath = null;
+  if (this.target && this.target.endGroup) this.target.endGroup();
+  return changes;
+};
+
+/*
+ *  Takes a piece of the eraser path, a single point or a pair of points.
+ *  Erases it from the current paths.
+ *  Returns the paths that changed.
+ */
+EraseSession.prototype.apply = function(erasePath) {
+  // a history or index may have changed since the last move, by an undo for example
+  var before = this.target ? this.target.paths : this.paths;
+  if (this.target) this.paths = this.target.erase(erasePath, this.eraseRadius, this.options);
+  else this.paths = eraseChanges(this.paths, erasePath, this.eraseRadius, this.options).paths;
+  return getPathsDifference(before, this.paths);
+};
+
+/*
+ *  Takes a point of the eraser, either an [x, y] array or an {x, y} object.
+ *  Returns it as an object: the object itself, or {x, y} for an array.
+ */
+function toPoint(point) {
+  return Array.isArray(point) ? { x: point[0], y: point[1] } : point;
+}
+
+/*
+ *  Takes the paths before and after an erase operation.
+ *  Returns {removed: the paths that are not there anymore, added: the paths that are new}.
+ */
+function getPathsDifference(before, after) {
+  var inBefore = new Set(before),
+    inAfter = new Set(after);
+  return {
+    removed: before.filter(function(path) { return !inAfter.has(path); }),
+    added: after.filter(function(path) { return !inBefore.has(path); })
+  };
+}
@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+/*
+ *  Filename: erase_svg.js
+ *  A command-line tool that applies eraser strokes to an SVG file.
+ *  Run with: node erase_svg.js strokes.json [input.svg] [output.svg]
+ */
+
+/**
+  erase_svg.js erases the <path>, <polyline>, <polygon> and <line> elements of an SVG file with the strokes of a JSON
+  file, without a browser. The SVG is read from input.svg, or from stdin if it is not given or '-', and the erased SVG
+  written to output.svg, or to stdout, so the tool can sit in a shell pipeline:
+
+    node erase_svg.js strokes.json < drawing.svg > erased.svg
+
+  The strokes file is an array of strokes, or an object with the strokes in strokes and the options for all of them:
+
+    {"radius": 10, "strokes": [{"points": [[10, 10], [50, 40]]}, {"points": [{"x": 5, "y": 5, "r": 3}], "radius": 4}]}
+
+  Every stroke has its points, [x, y] or {x, y} with an optional radius r of their own, and can have a radius and any
+  other option of erase(), such as mode, that it uses instead of those for the whole file. The radius is 20 if neither
+  gives one. The points are in the coordinates of the root <svg> element, its user units: every element is erased
+  through the transform attributes of its groups and of its own, as with the transform option of erase(). The
+  strokes are applied in order.
+
+  Everything but the elements that are cut stays as it was in the file. A cut <path> gets a new d attribute, and a cut
+  <polyline>, <polygon> or <line> becomes a <path> with the same attributes. An element that is erased completely is
+  removed, together with what is inside of it. Elements inside <defs>, <clipPath>, <mask>, <marker>, <pattern> and
+  <symbol> are not drawn where they are, and are left alone, as are elements that draw nothing, such as a polyline
+  without points or an element scaled by 0, and elements whose geometry or transforms cannot be read.
+
+  A summary of how many elements were cut and deleted is printed to stderr. If the SVG or the strokes file cannot be
+  read, or a stroke has points or options erase() cannot work with, the tool prints why and exits with status 1.
+
+  eraseSvg(svg, strokes) does the same on strings, and returns {svg, summary}.
+*/
+
+// This line is for the automated tests with node.js
+if (typeof(exports) !== 'undefined') {
+  var eraseLib = require('./erase.js'),
+    erase = eraseLib.erase,
+    getEraseOptions = eraseLib.getEraseOptions,
+    readInput = eraseLib.readInput,
+    svgPath = require('./svg_path.js'),
+    pathsFromElement = svgPath.pathsFromElement,
+    parseTransform = svgPath.parseTransform,
+    serializePathData = svgPath.serializePathData;
+  exports.eraseSvg = eraseSvg;
+}
+
+/**
+  eraseSvg takes the text of an SVG file and the strokes, as they are in the strokes file.
+  Returns {svg: the text of the erased SVG, summary: {elements, cut, deleted}}: the number of elements that could be
+  erased, and of those that were cut and deleted.
+*/
+function eraseSvg(svg, strokes) {
+  strokes = readStrokes(strokes);
+  var tokenRe = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>|<![^>]*>|<(\/?)([^\s\/>]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>/g,
+    hidden = ['defs', 'clippath', 'mask', 'marker', 'pattern', 'symbol'],
+    erasable = ['path', 'polyline', 'polygon', 'line'],
+    stack = [],
+    edits = [],
+    summary = { elements: 0, cut: 0, deleted: 0 },
+    match;
+
+  while ((match = tokenRe.exec(svg)) !== null) {
+    if (!match[2]) continue;
+    var name = match[2].split(':').pop().toLowerCase(),
+      start = match.index,
+      end = tokenRe.lastIndex;
+
+    // a closing tag ends the element on top of the stack, and any edit of the whole element with it
+    if (match[1]) {
+      var open = stack.pop();
+      if (open && open.remove) edits.push({ start: open.start, end: end, text: '' });
+      else if (open && open.rename) edits.push({ start: start, end: end, text: '</' + open.prefix + 'path>' });
+      continue;
+    }
+
+    var parent = stack[stack.length - 1],
+      element = {
+        start: start,
+        prefix: match[2].slice(0, match[2].length - name.length),
+        attributes: readAttributes(match[3]),
+        hidden: (parent && parent.hidden) || hidden.indexOf(name) !== -1
+      };
+    // the root <svg> is where the strokes are, so its own viewBox does not count. An invalid transform leaves the
+    //   element and everything in it without one, and so unerased
+    if (!parent) element.transform = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+    else if (!parent.transform) element.transform = null;
+    else {
+      try {
+        element.transform = multiplyMatrices(parent.transform, element.attributes.transform);
+      } catch (error) {
+        element.transform = null;
+      }
+    }
+
+    if (erasable.indexOf(name) !== -1 && !element.hidden) {
+      var result = eraseElement(name, element, strokes);
+      if (result !== null) {
+        summary.elements++;
+        if (result === '') summary.deleted++;
+        else if (result !== undefined) summary.cut++;
+        if (result === '') element.remove = true;
+        else if (result !== undefined) {
+          edits.push({ start: start, end: end, text: writeTag(element, result, match[4]) });
+          element.rename = name !== 'path';
+        }
+      }
+    }
+    if (match[4]) {
+      if (element.remove) edits.push({ start: start, end: end, text: '' });
+    } else stack.push(element);
+  }
+
+  // the edits are made from the end of the file, so that the positions of those before them stay the same
+  edits.sort(function(a, b) { return b.start - a.start; });
+  for (var i = 0; i < edits.length; i++) svg = svg.slice(0, edits[i].start) + edits[i].text + svg.slice(edits[i].end);
+  return { svg: svg, summary: summary };
+}
+
+/*
+ *  Takes the strokes as they are in the strokes file.
+ *  Returns an array of {points, options}, one for every stroke, with the options of the file and of the stroke.
+ *  Throws an Error if they are neither an array of strokes nor an object with one in strokes, or if a stroke has points
+ *    or options erase() cannot work with.
+ */
+function readStrokes(file) {
+  var list = Array.isArray(file) ? file : file && file.strokes;
+  if (!Array.isArray(list)) throw new Error('the strokes must be an array, or an object with an array in strokes');
+  return list.map(function(stroke, s) {
+    var options = {},
+      key;
+    if (!stroke || !Array.isArray(stroke.points)) throw new Error('stroke ' + s + ' has no array of points');
+    if (!Array.isArray(file)) {
+      for (key in file) {
+        if (key !== 'strokes') options[key] = file[key];
+      }
+    }
+    for (key in stroke) {
+      if (key !== 'points') options[key] = stroke[key];
+    }
+    try {
+      getEraseOptions(options);
+      readInput([], stroke.points);
+    } catch (error) {
+      throw new Error('stroke ' + s + ': ' + error.message);
+    }
+    return { points: stroke.points, options: options };
+  });
+}
+
+/*
+ *  Takes the text of the attributes of a tag.
+ *  Returns an object with every attribute: {name: {value, text}}, where text is the attribute as it is in the tag.
+ *    The values are not unescaped, as the attributes erase() reads are numbers.
+ */
+function readAttributes(text) {
+  var attributeRe = /([^\s=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+)))?/g,
+    attributes = {},
+    match;
+  while ((match = attributeRe.exec(text)) !== null) {
+    var value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    attributes[match[1]] = { value: value === undefined ? '' : value, text: match[0] };
+  }
+  return attributes;
+}
+
+/*
+ *  Takes the matrix of the parent of an element and the transform attribute of the element, if it has one.
+ *  Returns the matrix from the coordinates of the element to those of the root, see parseTransform, which throws an
+ *    Error for an attribute it cannot read.
+ */
+function multiplyMatrices(m, transform) {
+  if (!transform) return m;
+  var n = parseTransform(transform.value);
+  return {
+    a: m.a * n.a + m.c * n.b,
+    b: m.b * n.a + m.d * n.b,
+    c: m.a * n.c + m.c * n.d,
+    d: m.b * n.c + m.d * n.d,
+    e: m.a * n.e + m.c * n.f + m.e,
+    f: m.b * n.e + m.d * n.f + m.f
+  };
+}
+
+/*
+ *  Takes the name of an erasable element, the element as eraseSvg reads it and the strokes.
+ *  Returns null if the element cannot be erased, undefined if the strokes did not change it, and the d attribute of what
+ *    is left of it otherwise: an empty string if everything was erased.
+ *    An element cannot be erased if its geometry or a transform attribute cannot be read, it has no points, as a
+ *    <polyline points=""/>, or it is transformed to nothing, as by scale(0). Such elements draw nothing, so they are left as they are.
+ */
+function eraseElement(name, element, strokes) {
+  var attributes = element.attributes,
+    m = element.transform,
+    paths;
+  if (!m || !isFinite(m.a * m.d - m.b * m.c) || m.a * m.d - m.b * m.c === 0) return null;
+
+  var original;
+  try {
+    paths = original = pathsFromElement({
+      tagName: name,
+      getAttribute: function(attribute) { return attributes[attribute] ? attributes[attribute].value : null; }
+    });
+    for (var s = 0; s < strokes.length && paths.length > 0; s++) {
+      var options = {};
+      for (var key in strokes[s].options) options[key] = strokes[s].options[key];
+      options.transform = m;
+      paths = erase(paths, strokes[s].points, options);
+    }
+  } catch (error) {
+    // errors of the strokes themselves are found by readStrokes before any element is erased
+    return null;
+  }
+  if (paths.length === original.length && paths.every(function(path, i) { return path === original[i]; })) return undefined;
+  return serializePathData(paths);
+}
+
+/*
+ *  Takes an element that was cut, its new d attribute and the slash of a tag that closes itself.
+ *  Returns the new tag of the element: a <path> with all of its attributes but those of its old geometry.
+ */
+function writeTag(element, d, selfClosing) {
+  var tag = '<' + element.prefix + 'path',
+    geometry = ['d', 'points', 'x1', 'y1', 'x2', 'y2'];
+  for (var name in element.attributes) {
+    if (geometry.indexOf(name) === -1) tag += ' ' + element.attributes[name].text;
+  }
+  return tag + ' d="' + d + '"' + (selfClosing ? '/>' : '>');
+}
+
+/*
+ *  Reads the files named on the command line, erases the SVG and writes it out, see above.
+ */
+function main(args) {
+  var fs = require('fs');
+  if (args.length < 1 || args.length > 3 || args[0] === '-h' || args[0] === '--help') {
+    process.stderr.write('usage: node erase_svg.js strokes.json [input.svg] [output.svg]\n');
+    process.exit(args.length < 1 || args.length > 3 ? 2 : 0);
+  }
+
+  var readSvg = function(callback) {
+    if (args[1] && args[1] !== '-') return callback(fs.readFileSync(args[1], 'utf8'));
+    var chunks = [];
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', function(chunk) { chunks.push(chunk); });
+    process.stdin.on('end', function() { callback(chunks.join('')); });
+  };
+
+  try {
+    var strokes = JSON.parse(fs.readFileSync(args[0], 'utf8'));
+    readSvg(function(svg) {
+      try {
+        var result = eraseSvg(svg, strokes),
+          summary = result.summary;
+        if (args[2] && args[2] !== '-') fs.writeFileSync(args[2], result.svg);
+        else process.stdout.write(result.svg);
+        process.stderr.write(summary.elements + ' elements: ' + summary.cut + ' cut, ' + summary.deleted + ' deleted, ' +
+          (summary.elements - summary.cut - summary.deleted) + ' unchanged\n');
+      } catch (error) {
+        fail(error);
+      }
+    });
+  } catch (error) {
+    fail(error);
+  }
+}
+
+/*
+ *  Takes an error. Prints it and ends the tool.
+ */
+function fail(error) {
+  process.stderr.write('erase_svg.js: ' + error.message + '\n');
+  process.exit(1);
+}
+
+if (typeof(require) !== 'undefined' && require.main === module) main(process.argv.slice(2));
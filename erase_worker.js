@@ -0,0 +1,36 @@
+/*
+ *  Filename: erase_worker.js
+ *  The script of the worker of an EraseWorker, see flat_erase.js. It runs in a browser as a Web Worker and in node.js
+ *  under worker_threads.
+ */
+
+if (typeof(importScripts) !== 'undefined') {
+  importScripts('erase.js', 'flat_erase.js');
+  self.onmessage = function(event) {
+    var reply = handleEraseMessage(event.data);
+    self.postMessage(reply.message, reply.transferList);
+  };
+} else {
+  var eraseFlat = require('./flat_erase.js').eraseFlat,
+    parentPort = require('worker_threads').parentPort;
+  parentPort.on('message', function(message) {
+    var reply = handleEraseMessage(message);
+    parentPort.postMessage(reply.message, reply.transferList);
+  });
+}
+
+/*
+ *  Takes a message of an EraseWorker: {id, flat, erasePath, eraseRadius, options}.
+ *  Returns the reply, {id, result} or {id, error}, with the buffers of the result to transfer back.
+ */
+function handleEraseMessage(message) {
+  try {
+    var result = eraseFlat(message.flat, message.erasePath, message.eraseRadius, message.options);
+    var transferList = [];
+    for (var key in result) transferList.push(result[key].buffer);
+    return { message: { id: message.id, result: result }, transferList: transferList };
+  } catch (error) {
+    var reply = { message: error.message, code: error.code, pathIndex: error.pathIndex, pointIndex: error.pointIndex };
+    return { message: { id: message.id, error: reply }, transferList: [] };
+  }
+}
@@ -0,0 +1,425 @@
+/*
+ *  Filename: flat_erase.js
+ *  Erasing paths stored in flat typed arrays, on the calling thread or in a worker.
+ */
+
+/**
+  Flat paths keep the points of all paths of a drawing in one Float64Array instead of an object per point, so they
+  take little memory and can be sent to a worker without being copied:
+    coords: Float64Array [x0, y0, x1, y1, ...], the points of all paths one after the other,
+    offsets: Uint32Array of one more than the number of paths, where the points of path i are the points
+      offsets[i] to offsets[i + 1] - 1 in coords,
+    closed: Uint8Array with a 1 for every closed path, see erase().
+  Only the x and y of the points and whether the paths are closed are kept. packPaths() and unpackPaths() convert
+  between flat paths and the paths erase() takes.
+
+    var flat = packPaths(paths);
+    var result = eraseFlat(flat, erasePath, {radius: 10});
+
+  eraseFlat() takes the same arguments as erase() after the paths, where the erasePath can be a Float64Array of
+  x, y pairs as well, and returns the flat paths that are left with what changed. It cuts the paths where their points
+  are, in the typed arrays, with the regions of getEraserRegions(): the same regions erase() cuts the paths with,
+  so that the same parts are left, up to the last digits of the points where they are cut. The flat paths it returns
+  have these as well:
+    sources: Int32Array, the index of the path in the flat paths that were given that every path comes from,
+    ranges: Float64Array, the coordRange of every path, two numbers per path (for a path that did not change, all of
+      its points),
+    unchanged, deleted, replaced: Uint32Array, the indices of the paths that were kept as they were, deleted, or cut
+      into the fragments that took their place, as eraseChanges() returns them.
+  Area mode is not supported, as its polygons have holes, and neither are locked and record, as flat paths have no
+  layers or tags and are not in the format of the test cases. clone, interpolate and strokeMode have nothing to work on.
+
+  An EraseWorker runs eraseFlat() in a worker, erase_worker.js, in a browser as well as in node.js with
+  worker_threads:
+
+    var worker = new EraseWorker();
+    worker.erase(flat, erasePath, {radius: 10}, true).then(function(result) { ... });
+    worker.terminate();
+
+  erase() returns a promise of the result of eraseFlat(). If its last argument is true, the buffers of flat (and of the
+  erasePath, if it is a Float64Array) are transferred to the worker instead of copied, and cannot be used anymore by
+  the caller. The buffers of the result are always transferred back. An EraseInputError in the worker rejects the
+  promise with an EraseInputError, and a worker that fails or stops rejects all promises that are still pending.
+  The options are copied to the worker, so they cannot hold functions, like clone or interpolate, or a shape other
+  than one of plain data.
+*/
+
+// This line is for the automated tests with node.js
+if (typeof(exports) !== 'undefined') {
+  var eraseLib = require('./erase.js'),
+    getEraserRegions = eraseLib.getEraserRegions,
+    getEraseOptions = eraseLib.getEraseOptions,
+    EraseInputError = eraseLib.EraseInputError;
+  exports.packPaths = packPaths;
+  exports.unpackPaths = unpackPaths;
+  exports.eraseFlat = eraseFlat;
+  exports.EraseWorker = EraseWorker;
+}
+
+// the URL of erase_worker.js next to this file in a browser, read while the file runs, as document.currentScript is
+//   only set then. It is null if the file was not loaded by a <script> element.
+var eraseWorkerURL = typeof(document) !== 'undefined' && document.currentScript ?
+  new URL('erase_worker.js', document.currentScript.src).href : null;
+
+/**
+  packPaths takes an array of paths in the object format.
+  Returns them as flat paths.
+*/
+function packPaths(paths) {
+  var count = 0,
+    p, i;
+  for (p = 0; p < paths.length; p++) count += paths[p].coords.length;
+
+  var coords = new Float64Array(2 * count),
+    offsets = new Uint32Array(paths.length + 1),
+    closed = new Uint8Array(paths.length),
+    k = 0;
+  for (p = 0; p < paths.length; p++) {
+    offsets[p] = k / 2;
+    closed[p] = paths[p].closed ? 1 : 0;
+    for (i = 0; i < paths[p].coords.length; i++) {
+      coords[k++] = paths[p].coords[i].x;
+      coords[k++] = paths[p].coords[i].y;
+    }
+  }
+  offsets[paths.length] = count;
+  return { coords: coords, offsets: offsets, closed: closed };
+}
+
+/**
+  unpackPaths takes flat paths.
+  Returns them as an array of paths in the object format.
+*/
+function unpackPaths(flat) {
+  var paths = [];
+  for (var p = 0; p < flat.offsets.length - 1; p++) {
+    var path = { coords: unpackPoints(flat.coords, flat.offsets[p], flat.offsets[p + 1]) };
+    if (flat.closed && flat.closed[p]) path.closed = true;
+    paths.push(path);
+  }
+  return paths;
+}
+
+/**
+  eraseFlat takes flat paths and the arguments of erase() after the paths.
+  Returns the flat paths that are left, with what changed. See above.
+*/
+function eraseFlat(flat, erasePath, eraseRadius, options) {
+  options = getEraseOptions(eraseRadius, options);
+  if (options.mode === 'area') throw new EraseInputError('INVALID_OPTION', 'flat paths cannot be erased in area mode');
+  if (options.locked) throw new EraseInputError('INVALID_OPTION', 'flat paths have no layers or tags that can be locked');
+  if (options.record) throw new EraseInputError('INVALID_OPTION', 'erasing flat paths cannot be recorded');
+  if (ArrayBuffer.isView(erasePath)) erasePath = unpackPoints(erasePath, 0, erasePath.length / 2);
+
+  var regions = getEraserRegions(erasePath, options),
+    coords = flat.coords,
+    offsets = flat.offsets,
+    out = [],
+    outOffsets = [0],
+    sources = [],
+    ranges = [],
+    unchanged = [],
+    deleted = [],
+    replaced = [],
+    closed = [];
+
+  for (var p = 0; p < offsets.length - 1; p++) {
+    var start = offsets[p],
+      n = offsets[p + 1] - start,
+      loop = !!(flat.closed && flat.closed[p]) && n > 1,
+      end = loop ? n : n - 1;
+    if (n === 0) throw new EraseInputError('EMPTY_PATH', 'path ' + p + ' has no points', p);
+    for (var i = start; i < start + n; i++) {
+      if (!isFinite(coords[2 * i]) || !isFinite(coords[2 * i + 1])) {
+        throw new EraseInputError('INVALID_POINT', 'point ' + (i - start) + ' of path ' + p + ' has the coordinates ' +
+          coords[2 * i] + ', ' + coords[2 * i + 1] + ', which are not both finite numbers', p, i - start);
+      }
+    }
+
+    var kept = cutFlatPath(coords, start, n, end, regions),
+      whole = kept.length === 1 && kept[0][0] === 0 && kept[0][1] === end;
+    // crop keeps what erasing removes, and object mode keeps or removes the path as a whole
+    if (options.mode === 'object') kept = whole === !options.crop ? [[0, end]] : [];
+    else if (options.crop) kept = whole ? [] : n === 1 ? [[0, 0]] : getGaps(kept, end);
+
+    // the parts at both ends of a closed path are one if they still meet at its first point
+    if (loop && kept.length > 1 && kept[0][0] === 0 && kept[kept.length - 1][1] === end) {
+      kept[kept.length - 1][1] = end + kept.shift()[1];
+    }
+    if (kept.length === 1 && kept[0][0] === 0 && kept[0][1] === end) {
+      writePoints(coords, start, n, out, 0, n - 1);
+      outOffsets.push(out.length / 2);
+      sources.push(p);
+      ranges.push(0, end);
+      closed.push(loop ? 1 : 0);
+      unchanged.push(p);
+      continue;
+    }
+
+    var count = 0;
+    for (var k = 0; k < kept.length; k++) {
+      var from = kept[k][0],
+        to = kept[k][1],
+        first = out.length;
+      if (from === to) continue;
+      writePoint(coords, start, n, end, from, out);
+      writePoints(coords, start, n, out, Math.floor(from) + 1, Math.ceil(to) - 1);
+      writePoint(coords, start, n, end, to, out);
+      if (options.minLength && getFlatLength(out, first) < options.minLength) {
+        out.length = first;
+        continue;
+      }
+      if (options.precision !== undefined) {
+        var factor = Math.pow(10, options.precision);
+        for (var j = first; j < out.length; j++) out[j] = Math.round(out[j] * factor) / factor;
+      }
+      outOffsets.push(out.length / 2);
+      sources.push(p);
+      ranges.push(from, to);
+      closed.push(0);
+      count++;
+    }
+    if (count > 0) replaced.push(p);
+    else deleted.push(p);
+  }
+
+  return {
+    coords: new Float64Array(out),
+    offsets: new Uint32Array(outOffsets),
+    closed: new Uint8Array(closed),
+    sources: new Int32Array(sources),
+    ranges: new Float64Array(ranges),
+    unchanged: new Uint32Array(unchanged),
+    deleted: new Uint32Array(deleted),
+    replaced: new Uint32Array(replaced)
+  };
+}
+
+/**
+  An EraseWorker runs eraseFlat() in a worker. script is the path or URL of erase_worker.js; next to this file if not
+  given, which in a browser needs flat_erase.js to be loaded by a <script> element. See above.
+*/
+function EraseWorker(script) {
+  var self = this;
+  this.pending = new Map();
+  this.nextId = 0;
+  this.stopped = null;
+  if (typeof(Worker) !== 'undefined') {
+    if (!script && !eraseWorkerURL) throw new Error('the URL of erase_worker.js is needed to start an EraseWorker');
+    this.worker = new Worker(script || eraseWorkerURL);
+    this.worker.onmessage = function(event) { self.receive(event.data); };
+    this.worker.onerror = function(event) { self.fail(new Error(event.message)); };
+  } else {
+    var NodeWorker = require('worker_threads').Worker;
+    this.worker = new NodeWorker(script || require('path').join(__dirname, 'erase_worker.js'));
+    this.worker.on('message', function(message) { self.receive(message); });
+    this.worker.on('error', function(error) { self.fail(error); });
+    this.worker.on('exit', function(code) {
+      self.stopped = new Error('the erase worker stopped with exit code ' + code);
+      self.fail(self.stopped);
+    });
+  }
+}
+
+/*
+ *  Takes flat paths, the arguments of erase() after the paths and whether to transfer the buffers to the worker.
+ *  Returns a promise of the result of eraseFlat().
+ */
+EraseWorker.prototype.erase = function(flat, erasePath, eraseRadius, options, transfer) {
+  // the options can take the place of the radius, as in erase(), and transfer can follow the radius on its own
+  if (typeof options === 'boolean' || (eraseRadius !== null && typeof eraseRadius === 'object')) {
+    transfer = options;
+    options = undefined;
+  }
+  var self = this,
+    id = this.nextId++,
+    message = { id: id, flat: flat, erasePath: erasePath, eraseRadius: eraseRadius, options: options },
+    transferList = [];
+  if (transfer) {
+    transferList = [flat.coords.buffer, flat.offsets.buffer];
+    if (flat.closed) transferList.push(flat.closed.buffer);
+    if (ArrayBuffer.isView(erasePath)) transferList.push(erasePath.buffer);
+  }
+  return new Promise(function(resolve, reject) {
+    if (self.stopped) return reject(self.stopped);
+    self.pending.set(id, { resolve: resolve, reject: reject });
+    try {
+      self.worker.postMessage(message, transferList);
+    } catch (error) {
+      self.pending.delete(id);
+      reject(error);
+    }
+  });
+};
+
+/*
+ *  Stops the worker. The promises that are still pending are rejected, as are those of later calls.
+ */
+EraseWorker.prototype.terminate = function() {
+  this.worker.terminate();
+  this.stopped = new Error('the erase worker was terminated');
+  this.fail(this.stopped);
+};
+
+/*
+ *  Takes a message of the worker and settles the promise it answers.
+ */
+EraseWorker.prototype.receive = function(message) {
+  var request = this.pending.get(message.id);
+  if (!request) return;
+  this.pending.delete(message.id);
+  if (!message.error) request.resolve(message.result);
+  else if (message.error.code) {
+    var error = message.error;
+    request.reject(new EraseInputError(error.code, error.message, error.pathIndex, error.pointIndex));
+  } else request.reject(new Error(message.error.message));
+};
+
+/*
+ *  Takes an error of the worker itself and rejects all pending promises with it.
+ */
+EraseWorker.prototype.fail = function(error) {
+  this.pending.forEach(function(request) { request.reject(error); });
+  this.pending.clear();
+};
+
+/*
+ *  Takes the coords of flat paths, the index of the first point of a path in them, its number of points, the position
+ *    its last segment ends at (the number of points for a closed path, which ends back at its first point) and the
+ *    regions of the eraser, see getEraserRegions.
+ *  Returns the parts of the path that are left after cutting it with every region in turn, as [from, to] positions
+ *    along it, where i + t is the point at t along the segment from point i. A point path is left whole or not at all.
+ */
+function cutFlatPath(coords, start, n, end, regions) {
+  var kept = [[0, end]],
+    p0 = { x: 0, y: 0 },
+    p1 = { x: 0, y: 0 },
+    minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity,
+    r;
+  for (var m = start; m < start + n; m++) {
+    minX = Math.min(minX, coords[2 * m]);
+    minY = Math.min(minY, coords[2 * m + 1]);
+    maxX = Math.max(maxX, coords[2 * m]);
+    maxY = Math.max(maxY, coords[2 * m + 1]);
+  }
+  if (n === 1) {
+    for (r = 0; r < regions.length; r++) {
+      if (regions[r].contains(coords[2 * start], coords[2 * start + 1])) return [];
+    }
+    return kept;
+  }
+
+  for (r = 0; r < regions.length && kept.length > 0; r++) {
+    var b = regions[r].bounds,
+      left = [];
+    // a region outside the bounding box of the path cuts nothing off it
+    if (maxX <= b.minX || minX >= b.maxX || maxY <= b.minY || minY >= b.maxY) continue;
+    for (var k = 0; k < kept.length; k++) {
+      var from = kept[k][0],
+        to = kept[k][1],
+        piece = null;
+      for (var i = Math.floor(from); i < to; i++) {
+        var j = start + i,
+          l = start + (i + 1) % n,
+          lo = Math.max(0, from - i),
+          hi = Math.min(1, to - i),
+          outside = null;
+        // the two points are read where they are, and only a segment that reaches into the bounds of the region is
+        //   handed to it, in the same two objects every time
+        p0.x = coords[2 * j];
+        p0.y = coords[2 * j + 1];
+        p1.x = coords[2 * l];
+        p1.y = coords[2 * l + 1];
+        if (Math.max(p0.x, p1.x) > b.minX && Math.min(p0.x, p1.x) < b.maxX &&
+          Math.max(p0.y, p1.y) > b.minY && Math.min(p0.y, p1.y) < b.maxY) outside = regions[r].outsideIntervals(p0, p1);
+        for (var o = 0; o < (outside ? outside.length : 1); o++) {
+          var a = outside ? Math.max(lo, outside[o][0]) : lo,
+            c = outside ? Math.min(hi, outside[o][1]) : hi;
+          if (a >= c) continue;
+          // a part that starts where the last one ended continues it
+          if (piece && piece[1] === i + a) piece[1] = i + c;
+          else {
+            if (piece) left.push(piece);
+            piece = [i + a, i + c];
+          }
+        }
+      }
+      if (piece) left.push(piece);
+    }
+    kept = left;
+  }
+  return kept;
+}
+
+/*
+ *  Takes the parts of a path that are left, as cutFlatPath returns them, and the position its last segment ends at.
+ *  Returns the parts in between, those that were cut off, in the same form.
+ */
+function getGaps(kept, end) {
+  var gaps = [],
+    from = 0;
+  for (var k = 0; k < kept.length; k++) {
+    if (kept[k][0] > from) gaps.push([from, kept[k][0]]);
+    from = kept[k][1];
+  }
+  if (from < end) gaps.push([from, end]);
+  return gaps;
+}
+
+/*
+ *  Takes the coords of flat paths, the index of the first point of a path in them, its number of points, the position
+ *    its last segment ends at, a position along it and the array of numbers to write to. Positions past the end of a
+ *    closed path continue with its first point.
+ *  Appends the x and y of the point at the position to the array.
+ */
+function writePoint(coords, start, n, end, position, out) {
+  if (position > end) position -= end;
+  var i = Math.min(Math.floor(position), end - 1),
+    t = position - i;
+  if (t === 0 || t === 1) {
+    var m = start + (i + t) % n;
+    out.push(coords[2 * m], coords[2 * m + 1]);
+    return;
+  }
+  var a = start + i,
+    b = start + (i + 1) % n;
+  out.push(coords[2 * a] + t * (coords[2 * b] - coords[2 * a]),
+    coords[2 * a + 1] + t * (coords[2 * b + 1] - coords[2 * a + 1]));
+}
+
+/*
+ *  Takes the coords of flat paths, the index of the first point of a path in them, its number of points, the array of
+ *    numbers to write to and the first and last index of the points to write, which may go past the last point of a
+ *    closed path to continue with its first.
+ *  Appends the x and y of the points to the array.
+ */
+function writePoints(coords, start, n, out, first, last) {
+  for (var i = first; i <= last; i++) {
+    var m = start + i % n;
+    out.push(coords[2 * m], coords[2 * m + 1]);
+  }
+}
+
+/*
+ *  Takes an array of x, y pairs and the index in it of the first number of a path.
+ *  Returns the length of the path from there to the end of the array.
+ */
+function getFlatLength(out, first) {
+  var length = 0;
+  for (var i = first + 2; i < out.length; i += 2) {
+    var dX = out[i] - out[i - 2],
+      dY = out[i + 1] - out[i - 1];
+    length += Math.sqrt(dX * dX + dY * dY);
+  }
+  return length;
+}
+
+/*
+ * Takes a Float64Array of x, y pairs and the range of points to take from it.
+ * Returns the points from start up to end as {x, y} objects.
+ */
+function unpackPoints(coords, start, end) {
+  var points = [];
+  for (var i = start; i < end; i++) points.push({ x: coords[2 * i], y: coords[2 * i + 1] });
+  return points;
+}
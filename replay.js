@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/*
+ *  Filename: replay.js
+ *  Runs the test cases recorded with options.record of erase() again, and reports those that come out differently.
+ *  Run with: node replay.js cases.json [more.json ...]
+ */
+
+/**
+  A file of cases holds one test case, an array of them, as in the test_cases of func_test.html, or one test case per
+  line, so that a record function can append every call to a file:
+
+    erase(paths, erasePath, {radius: 10, record: function(testCase) {
+      fs.appendFileSync('cases.json', JSON.stringify(testCase) + '\n');
+    }});
+
+  Every case is erased again with erase(), with its paths, erase_path, r and options as the arguments they were
+  recorded as, where options take the place of r if there is none, and what comes out is compared
+  with its result, or with its error for a call that threw. Numbers that differ by no more than a billionth of their
+  size count as the same. The cases that differ are printed with the first place where they do; a case recorded with
+  options that have no JSON, see getEraseOptions, is erased without them, which is said as well. The tool exits with
+  status 1 if any case differs, so it can run as a regression test.
+
+  replayCase(testCase) replays one case and returns null if it came out the same, or what differs.
+*/
+
+// This line is for the automated tests with node.js
+if (typeof(exports) !== 'undefined') {
+  var erase = require('./erase.js').erase;
+  exports.replayCase = replayCase;
+  exports.readCases = readCases;
+}
+
+/**
+  replayCase takes a recorded test case.
+  Returns null if erasing it again gives the same result, or the same error, and otherwise a string that says where
+  and how the new result differs.
+*/
+function replayCase(testCase) {
+  var args = [testCase.paths, testCase.erase_path],
+    result;
+  if ('r' in testCase) args.push(testCase.r, testCase.options);
+  else args.push(testCase.options);
+
+  try {
+    result = JSON.parse(JSON.stringify(erase.apply(null, args)));
+  } catch (error) {
+    if (testCase.error && testCase.error.code === error.code) return null;
+    return 'threw ' + (error.code || error.name) + ' (' + error.message + ')' +
+      (testCase.error ? ', recorded ' + testCase.error.code : '');
+  }
+  if (testCase.error) return 'returned a result, recorded ' + testCase.error.code + ' (' + testCase.error.message + ')';
+  return findDifference(testCase.result, result, 'result');
+}
+
+/**
+  readCases takes the text of a file of cases.
+  Returns the test cases in it, see above.
+*/
+function readCases(text) {
+  var cases;
+  try {
+    cases = JSON.parse(text);
+  } catch (error) {
+    // one case per line
+    cases = text.split('\n').filter(function(line) { return line.trim() !== ''; }).map(function(line) {
+      return JSON.parse(line);
+    });
+  }
+  return Array.isArray(cases) ? cases : [cases];
+}
+
+/*
+ *  Takes the recorded value, the new one and where they are in the result, such as 'result[1].coords[0]'.
+ *  Returns null if they are the same, see above, or a string with the first place where they differ.
+ */
+function findDifference(expected, actual, where) {
+  var difference;
+  if (typeof expected === 'number' && typeof actual === 'number') {
+    var tolerance = 1e-9 * Math.max(1, Math.abs(expected), Math.abs(actual));
+    return Math.abs(expected - actual) <= tolerance ? null : where + ' is ' + actual + ', recorded ' + expected;
+  }
+  if (!expected || !actual || typeof expected !== 'object' || typeof actual !== 'object' ||
+    Array.isArray(expected) !== Array.isArray(actual)) {
+    return expected === actual ? null :
+      where + ' is ' + JSON.stringify(actual) + ', recorded ' + JSON.stringify(expected);
+  }
+
+  if (Array.isArray(expected)) {
+    if (expected.length !== actual.length) {
+      return where + ' has ' + actual.length + ' entries, recorded ' + expected.length;
+    }
+    for (var i = 0; i < expected.length; i++) {
+      difference = findDifference(expected[i], actual[i], where + '[' + i + ']');
+      if (difference) return difference;
+    }
+    return null;
+  }
+
+  var keys = Object.keys(expected).concat(Object.keys(actual).filter(function(key) { return !(key in expected); }));
+  for (var k = 0; k < keys.length; k++) {
+    if (!(keys[k] in actual)) return where + '.' + keys[k] + ' is missing';
+    if (!(keys[k] in expected)) return where + '.' + keys[k] + ' was not recorded';
+    difference = findDifference(expected[keys[k]], actual[keys[k]], where + '.' + keys[k]);
+    if (difference) return difference;
+  }
+  return null;
+}
+
+/*
+ *  Replays the cases of the files named on the command line and prints those that differ, see above.
+ */
+function main(files) {
+  var fs = require('fs'),
+    count = 0,
+    failed = 0;
+  if (files.length === 0) {
+    process.stderr.write('usage: node replay.js cases.json [more.json ...]\n');
+    process.exit(2);
+  }
+
+  files.forEach(function(file) {
+    var cases;
+    try {
+      cases = readCases(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      process.stderr.write('replay.js: cannot read ' + file + ': ' + error.message + '\n');
+      process.exit(1);
+    }
+    cases.forEach(function(testCase, c) {
+      var difference = replayCase(testCase);
+      count++;
+      if (!difference) return;
+      failed++;
+      console.log('FAIL ' + file + ' #' + c + ' ' + (testCase.name || '') + ': ' + difference +
+        (testCase.unrecorded ? ' (replayed without ' + testCase.unrecorded.join(', ') + ')' : ''));
+    });
+  });
+  console.log(count + ' cases, ' + (count - failed) + ' the same, ' + failed + ' different');
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+if (typeof(require) !== 'undefined' && require.main === module) main(process.argv.slice(2));
@@ -0,0 +1,262 @@
+/*
+ *  Filename: spatial_index.js
+ *  A grid over the paths of a drawing, so that erasing only has to look at the paths near the eraser.
+ */
+
+/**
+  An EraseIndex keeps the paths of a drawing in a uniform grid of square cells, every path in each cell its
+  bounding box (grown by half its stroke width) overlaps.
+
+    var index = new EraseIndex(paths, {cellSize: 100});
+    paths = index.erase(erasePath, eraseRadius);
+
+  index.erase() takes the same arguments as erase() after the paths and gives the same result as erase() on all
+  of the paths, but only the paths in the cells under the eraser are looked at. The index updates itself as it
+  goes: the paths that were cut or deleted are taken out of the grid and their fragments are put in. The current
+  paths, in drawing order, are found in index.paths.
+
+  insert(path) and remove(path) keep the index up to date with changes made elsewhere, and query(bounds)
+  returns the paths whose bounding boxes overlap a {minX, minY, maxX, maxY} box.
+
+  cellSize should be about the size of a typical stroke; it is 64 if not given.
+
+  Paths with a transform of their own are kept in the grid by their bounds after the transform, so the grid is in the
+  coordinates the transforms map to. An erase() with options.transform maps the eraser from there.
+*/
+
+// This line is for the automated tests with node.js
+if (typeof(exports) !== 'undefined') {
+  var eraseLib = require('./erase.js'),
+    eraseChanges = eraseLib.eraseChanges,
+    circleEraser = eraseLib.circleEraser,
+    cleanPath = eraseLib.cleanPath,
+    getPathBounds = eraseLib.getPathBounds,
+    getEraseOptions = eraseLib.getEraseOptions,
+    readInput = eraseLib.readInput;
+  exports.EraseIndex = EraseIndex;
+}
+
+function EraseIndex(paths, options) {
+  options = options || {};
+  this.cellSize = options.cellSize || 64;
+  this.cells = {};
+  this.entries = new Map();
+  this.paths = [];
+  this.stamp = 0;
+  for (var i = 0; i < (paths || []).length; i++) this.insert(paths[i]);
+}
+
+/*
+ *  Takes a path and adds it to the index, drawn on top of the others.
+ */
+EraseIndex.prototype.insert = function(path) {
+  var entry = this.addEntry(path);
+  entry.order = this.paths.length;
+  this.paths.push(path);
+};
+
+/*
+ *  Takes a path that is in the index and takes it out.
+ */
+EraseIndex.prototype.remove = function(path) {
+  var entry = this.entries.get(path);
+  if (!entry) return;
+  this.removeEntry(entry);
+  this.paths.splice(this.paths.indexOf(path), 1);
+  this.renumber();
+};
+
+/*
+ *  Takes a bounding box.
+ *  Returns the paths whose bounding boxes overlap it, in drawing order.
+ */
+EraseIndex.prototype.query = function(bounds) {
+  var found = [],
+    stamp = ++this.stamp,
+    range = this.getCellRange(bounds);
+
+  for (var cx = range.minX; cx <= range.maxX; cx++) {
+    for (var cy = range.minY; cy <= range.maxY; cy++) {
+      var cell = this.cells[cx + ',' + cy];
+      if (!cell) continue;
+      for (var i = 0; i < cell.length; i++) {
+        var entry = cell[i];
+        if (entry.stamp === stamp) continue;
+        entry.stamp = stamp;
+        if (entry.bounds.minX < bounds.maxX && entry.bounds.maxX > bounds.minX &&
+          entry.bounds.minY < bounds.maxY && entry.bounds.maxY > bounds.minY) found.push(entry);
+      }
+    }
+  }
+  found.sort(function(a, b) { return a.order - b.order; });
+  return found.map(function(entry) { return entry.path; });
+};
+
+/*
+ *  Takes the arguments of erase() after the paths.
+ *  Erases the paths near the eraser and updates the index.
+ *  Returns all the paths that are left, the same as erase() on all of the paths would.
+ */
+EraseIndex.prototype.erase = function(erasePath, eraseRadius, options) {
+  options = getEraseOptions(eraseRadius, options);
+  eraseRadius = options.radius;
+  // the points of the erasePath as objects, checked the same way erase() checks them
+  var cleaned = cleanPath(readInput([], erasePath).erasePath),
+    shape = options.shape || circleEraser(),
+    candidates = [],
+    seen = new Map(),
+    e;
+
+  // the areas covered by the parts of the eraser, whose points can have radii of their own, or by the lasso
+  var areas = [];
+  if (options.mode === 'lasso') areas.push(getPathBounds({ coords: cleaned }));
+  else {
+    for (e = 0; e < Math.max(1, cleaned.length - 1); e++) {
+      var e0 = cleaned[e],
+        e1 = cleaned[e + 1],
+        r0 = e0.r === undefined ? eraseRadius : e0.r,
+        r1 = e1 && (e1.r === undefined ? eraseRadius : e1.r);
+      areas.push(shape.getRegion(e0, r0, e1, r1, eraseRadius).bounds);
+    }
+  }
+
+  // the areas in the coordinates of the grid, which options.transform maps to those of the erasePath
+  if (options.transform) {
+    var t = options.transform,
+      det = t.a * t.d - t.b * t.c,
+      inverse = {
+        a: t.d / det,
+        b: -t.b / det,
+        c: -t.c / det,
+        d: t.a / det,
+        e: (t.c * t.f - t.d * t.e) / det,
+        f: (t.b * t.e - t.a * t.f) / det
+      };
+    areas = areas.map(function(area) { return transformBounds(area, inverse); });
+  }
+
+  // the paths near any of them; cropping removes the paths far from the eraser as well, so it needs all of them
+  if (options.crop) candidates = this.paths.slice();
+  else {
+    for (e = 0; e < areas.length; e++) {
+      var near = this.query(areas[e]);
+      for (var n = 0; n < near.length; n++) {
+        if (seen.has(near[n])) continue;
+        seen.set(near[n], true);
+        candidates.push(near[n]);
+      }
+    }
+  }
+  if (candidates.length === 0) return this.paths;
+
+  var entries = this.entries;
+  candidates.sort(function(a, b) { return entries.get(a).order - entries.get(b).order; });
+  var changes = eraseChanges(candidates, erasePath, options);
+  if (changes.deleted.length === 0 && changes.replaced.length === 0) return this.paths;
+
+  // swap the paths that changed for their fragments, in the grid and in drawing order
+  var replacements = new Map();
+  for (e = 0; e < changes.deleted.length; e++) replacements.set(candidates[changes.deleted[e]], []);
+  for (e = 0; e < changes.replaced.length; e++) {
+    var source = candidates[changes.replaced[e].source],
+      replaced = changes.replaced[e].fragments;
+    // eraseChanges only saw the candidates, the fragments come from the path at this position in all the paths
+    for (var r = 0; r < replaced.length; r++) replaced[r].source = entries.get(source).order;
+    replacements.set(source, replaced);
+  }
+
+  var paths = [];
+  for (var p = 0; p < this.paths.length; p++) {
+    var fragments = replacements.get(this.paths[p]);
+    if (!fragments) paths.push(this.paths[p]);
+    else {
+      this.removeEntry(this.entries.get(this.paths[p]));
+      for (var f = 0; f < fragments.length; f++) {
+        this.addEntry(fragments[f]);
+        paths.push(fragments[f]);
+      }
+    }
+  }
+  this.paths = paths;
+  this.renumber();
+  return this.paths;
+};
+
+/*
+ *  Takes a bounding box.
+ *  Returns the range of grid cells it covers.
+ */
+EraseIndex.prototype.getCellRange = function(bounds) {
+  return {
+    minX: Math.floor(bounds.minX / this.cellSize),
+    minY: Math.floor(bounds.minY / this.cellSize),
+    maxX: Math.floor(bounds.maxX / this.cellSize),
+    maxY: Math.floor(bounds.maxY / this.cellSize)
+  };
+};
+
+/*
+ *  Takes a path and puts an entry for it in every cell its bounding box overlaps.
+ *  Returns the entry. The order of the entry is left to the caller.
+ */
+EraseIndex.prototype.addEntry = function(path) {
+  var bounds = getPathBounds(path),
+    halfWidth = (parseFloat(path['stroke-width']) || 0) / 2,
+    entry = { path: path, order: 0, stamp: 0, keys: [] };
+
+  entry.bounds = {
+    minX: bounds.minX - halfWidth,
+    minY: bounds.minY - halfWidth,
+    maxX: bounds.maxX + halfWidth,
+    maxY: bounds.maxY + halfWidth
+  };
+  if (path.transform) entry.bounds = transformBounds(entry.bounds, path.transform);
+  var range = this.getCellRange(entry.bounds);
+  for (var cx = range.minX; cx <= range.maxX; cx++) {
+    for (var cy = range.minY; cy <= range.maxY; cy++) {
+      var key = cx + ',' + cy;
+      (this.cells[key] = this.cells[key] || []).push(entry);
+      entry.keys.push(key);
+    }
+  }
+  this.entries.set(path, entry);
+  return entry;
+};
+
+/*
+ *  Takes an entry and removes it from all of its cells.
+ */
+EraseIndex.prototype.removeEntry = function(entry) {
+  for (var k = 0; k < entry.keys.length; k++) {
+    var cell = this.cells[entry.keys[k]];
+    cell.splice(cell.indexOf(entry), 1);
+    if (cell.length === 0) delete this.cells[entry.keys[k]];
+  }
+  this.entries.delete(entry.path);
+};
+
+/*
+ *  Brings the order of every entry in line with its position in paths.
+ */
+EraseIndex.prototype.renumber = function() {
+  for (var p = 0; p < this.paths.length; p++) this.entries.get(this.paths[p]).order = p;
+};
+
+/*
+ *  Takes a bounding box and an {a, b, c, d, e, f} matrix, see getEraseOptions.
+ *  Returns the bounding box of the box mapped by the matrix.
+ */
+function transformBounds(bounds, m) {
+  var xs = [],
+    ys = [];
+  [[bounds.minX, bounds.minY], [bounds.maxX, bounds.minY], [bounds.maxX, bounds.maxY], [bounds.minX, bounds.maxY]].forEach(function(corner) {
+    xs.push(m.a * corner[0] + m.c * corner[1] + m.e);
+    ys.push(m.b * corner[0] + m.d * corner[1] + m.f);
+  });
+  return {
+    minX: Math.min.apply(null, xs),
+    minY: Math.min.apply(null, ys),
+    maxX: Math.max.apply(null, xs),
+    maxY: Math.max.apply(null, ys)
+  };
+}
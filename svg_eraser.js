@@ -0,0 +1,211 @@
+/*
+ *  Filename: svg_eraser.js
+ *  An eraser for SVG elements that are already on a page, drawn with pointer events.
+ */
+
+/**
+  svgEraser turns an <svg> element of a page into something that can be erased: dragging over it with a mouse, pen or
+  finger erases the <path>, <polyline>, <polygon> and <line> elements under it, and the results are written back into
+  the DOM.
+
+    var eraser = svgEraser(document.querySelector('svg'), {radius: 15});
+    svg.addEventListener('eraseend', function(event) { console.log(event.detail.changed); });
+    eraser.destroy();
+
+  The elements are read with pathsFromElement() when a stroke starts, and erased with erase() as the eraser moves,
+  one capsule of the stroke at a time, with the same result as erasing the whole stroke at once. In lasso mode they
+  are erased when the stroke ends. The eraser and its radius are in screen pixels, and every element is erased in its own
+  coordinates, with the eraser mapped through the transforms of its groups and the viewBox by options.transform (see
+  erase()), so it erases what is under the pointer however the drawing is zoomed, rotated or stretched. An element
+  that is cut keeps all of its attributes and classes: a <path> gets the
+  new `d`, and the other elements are replaced by a <path> with the same attributes, as a cut line or polygon cannot
+  be written as one anymore. An element that is erased completely is removed.
+
+  The options are those of erase(), with radius the radius of the eraser, and:
+    root: the element whose descendants are erased, svgElement if not given,
+    selector: the elements to erase, 'path, polyline, polygon, line' if not given,
+    cursor: false to not show the circle of the eraser under the pointer.
+  Changes to eraser.options, the options object, take effect with the next stroke.
+
+  Every stroke fires two events on svgElement:
+    erasestart, with the first point of the stroke in event.detail.point,
+    eraseend, with event.detail: {erasePath: the points of the stroke, changed: the elements that were cut or erased,
+      added: the <path> elements that took the place of changed ones that were not paths, removed: the elements that
+      were erased or replaced}.
+  The points are in client coordinates, the clientX and clientY of the pointer events.
+*/
+
+// This line is for the automated tests with node.js
+if (typeof(exports) !== 'undefined') {
+  var erase = require('./erase.js').erase,
+    svgPath = require('./svg_path.js'),
+    pathsFromElement = svgPath.pathsFromElement,
+    serializePathData = svgPath.serializePathData;
+  exports.svgEraser = svgEraser;
+}
+
+function svgEraser(svgElement, options) {
+  options = options || {};
+  var stroke = null,
+    cursor = null,
+    listeners = {};
+
+  svgElement.style.touchAction = 'none';
+
+  var getPoint = function(event) {
+    return { x: event.clientX, y: event.clientY };
+  };
+
+  var getRadius = function() {
+    return options.radius === undefined || options.radius === null ? 20 : options.radius;
+  };
+
+  var moveCursor = function(point) {
+    if (options.cursor === false) return;
+    if (!cursor) {
+      cursor = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+      cursor.setAttribute('class', 'eraser-cursor');
+      cursor.setAttribute('fill', 'none');
+      cursor.setAttribute('stroke', 'gray');
+      cursor.setAttribute('pointer-events', 'none');
+      cursor.setAttribute('vector-effect', 'non-scaling-stroke');
+      svgElement.appendChild(cursor);
+    }
+    // the circle is in client coordinates as well, mapped into those of svgElement
+    var m = svgElement.getScreenCTM().inverse();
+    cursor.setAttribute('transform', 'matrix(' + [m.a, m.b, m.c, m.d, m.e, m.f].join(' ') + ')');
+    cursor.setAttribute('cx', point.x);
+    cursor.setAttribute('cy', point.y);
+    cursor.setAttribute('r', getRadius());
+  };
+
+  var hideCursor = function() {
+    if (cursor) cursor.parentNode.removeChild(cursor);
+    cursor = null;
+  };
+
+  var fire = function(type, detail) {
+    svgElement.dispatchEvent(new CustomEvent(type, { detail: detail }));
+  };
+
+  listeners.pointerdown = function(event) {
+    if (stroke || event.button !== 0) return;
+    var point = getPoint(event);
+    svgElement.setPointerCapture(event.pointerId);
+    stroke = {
+      pointer: event.pointerId,
+      erasePath: [point],
+      targets: readTargets(options.root || svgElement, options.selector || 'path, polyline, polygon, line', options),
+      changes: { changed: [], added: [], removed: [] }
+    };
+    moveCursor(point);
+    fire('erasestart', { point: point });
+  };
+
+  listeners.pointermove = function(event) {
+    var point = getPoint(event);
+    moveCursor(point);
+    if (!stroke || event.pointerId !== stroke.pointer) return;
+    var last = stroke.erasePath[stroke.erasePath.length - 1];
+    if (last.x === point.x && last.y === point.y) return;
+    stroke.erasePath.push(point);
+    if (options.mode !== 'lasso') eraseTargets(stroke, [last, point]);
+  };
+
+  listeners.pointerup = listeners.pointercancel = function(event) {
+    if (!stroke || event.pointerId !== stroke.pointer) return;
+    var done = stroke;
+    stroke = null;
+    // a stroke that never moved erases the circle around its point, and a lasso is erased as a whole
+    if (options.mode === 'lasso') eraseTargets(done, done.erasePath);
+    else if (done.erasePath.length === 1) eraseTargets(done, done.erasePath);
+    if (event.type === 'pointercancel') hideCursor();
+    done.changes.erasePath = done.erasePath;
+    fire('eraseend', done.changes);
+  };
+
+  listeners.pointerleave = function() {
+    if (!stroke) hideCursor();
+  };
+
+  for (var type in listeners) svgElement.addEventListener(type, listeners[type]);
+
+  return {
+    options: options,
+    // removes the event listeners and the cursor
+    destroy: function() {
+      for (var type in listeners) svgElement.removeEventListener(type, listeners[type]);
+      hideCursor();
+      stroke = null;
+    }
+  };
+}
+
+/*
+ *  Takes the root element and the selector of the elements to erase, and the options of svgEraser.
+ *  Returns an array of {element, paths, options}, one for every element whose geometry can be read, with the options
+ *    to erase it with: those given, with the transform from the coordinates of the element to client coordinates.
+ */
+function readTargets(root, selector, options) {
+  var elements = root.querySelectorAll(selector),
+    targets = [];
+  for (var i = 0; i < elements.length; i++) {
+    try {
+      var m = elements[i].getScreenCTM(),
+        target = { element: elements[i], paths: pathsFromElement(elements[i]), options: {} };
+      for (var key in options) target.options[key] = options[key];
+      target.options.transform = { a: m.a, b: m.b, c: m.c, d: m.d, e: m.e, f: m.f };
+      targets.push(target);
+    } catch (error) {
+      // path data erase() cannot read is left alone
+    }
+  }
+  return targets;
+}
+
+/*
+ *  Takes a stroke and a piece of its erasePath.
+ *  Erases the piece from the elements of the stroke and writes the elements that changed back into the DOM.
+ */
+function eraseTargets(stroke, erasePath) {
+  var targets = stroke.targets;
+  for (var t = 0; t < targets.length; t++) {
+    var target = targets[t],
+      paths = erase(target.paths, erasePath, target.options);
+    if (paths.length === target.paths.length && paths.every(function(path, i) { return path === target.paths[i]; })) continue;
+
+    if (stroke.changes.changed.indexOf(target.element) === -1 && stroke.changes.added.indexOf(target.element) === -1) {
+      stroke.changes.changed.push(target.element);
+    }
+    target.paths = paths;
+    if (paths.length === 0) {
+      removeTarget(stroke, target.element);
+      targets.splice(t--, 1);
+    } else if (target.element.tagName.toLowerCase() === 'path') {
+      target.element.setAttribute('d', serializePathData(paths));
+    } else {
+      var path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+      for (var a = 0; a < target.element.attributes.length; a++) {
+        var attribute = target.element.attributes[a];
+        if (['points', 'x1', 'y1', 'x2', 'y2'].indexOf(attribute.name) !== -1) continue;
+        path.setAttribute(attribute.name, attribute.value);
+      }
+      path.setAttribute('d', serializePathData(paths));
+      target.element.parentNode.insertBefore(path, target.element);
+      removeTarget(stroke, target.element);
+      stroke.changes.added.push(path);
+      target.element = path;
+    }
+  }
+}
+
+/*
+ *  Takes a stroke and one of its elements.
+ *  Takes the element out of the DOM. An element the stroke added itself is forgotten, as if it never was.
+ */
+function removeTarget(stroke, element) {
+  element.parentNode.removeChild(element);
+  var added = stroke.changes.added.indexOf(element);
+  if (added !== -1) stroke.changes.added.splice(added, 1);
+  else stroke.changes.removed.push(element);
+}
@@ -0,0 +1,454 @@
+/*
+ *  Filename: svg_path.js
+ *  Reads SVG markup (path data, points and line attributes) into the paths used by erase(),
+ *  and writes erased paths back out as path data.
+ */
+
+/**
+  parsePathData takes the contents of a `d` attribute and returns an array of paths in the
+  format expected by erase(), one path for every subpath. "M0,0 L100,100 M20,10 l5,0" becomes
+  `[{coords: [{x: 0, y: 0}, {x: 100, y: 100}]}, {coords: [{x: 20, y: 10}, {x: 25, y: 10}]}]`.
+
+  Relative commands are resolved into absolute coordinates, and coordinate pairs that follow a
+  command without repeating it are read as repeats of that command (or of L/l after M/m).
+  A Z/z closes the subpath: the path gets `closed: true`, and erase() treats the segment from
+  its last point back to its first like any other.
+
+  Curves are kept as curves. A point reached by a C/c, S/s, Q/q, T/t or A/a command carries
+  the two control points of the cubic Bézier curve from the previous point in `c`, for example
+  `{x: 30, y: 0, c: [{x: 10, y: 10}, {x: 20, y: 10}]}`. Quadratic curves are stored as the
+  equivalent cubic curves, and arcs as one cubic curve per quarter turn.
+
+  parseTransform reads a `transform` attribute, "translate(10,20) rotate(45)", into the {a, b, c, d, e, f} matrix
+  erase() takes as a transform, see getEraseOptions. A list it cannot read, such as "scale()", throws an Error.
+
+  serializePathData does the opposite: it takes an array of paths and returns a `d` string
+  with absolute M, L, C and Z commands only. The erase() result for the paths of one element can be passed
+  straight to it.
+*/
+
+// This line is for the automated tests with node.js
+if (typeof(exports) !== 'undefined') {
+  var erase = require('./erase.js').erase;
+  exports.parsePathData = parsePathData;
+  exports.parsePoints = parsePoints;
+  exports.parseTransform = parseTransform;
+  exports.pathsFromElement = pathsFromElement;
+  exports.serializePathData = serializePathData;
+  exports.eraseSvgPathData = eraseSvgPathData;
+  exports.eraseElement = eraseElement;
+}
+
+/*
+ *  Takes a string of path data.
+ *  Returns a scanner over it, with methods to read the next command letter, number or arc flag.
+ *  Arc flags need reading on their own, since "a5,5 0 0110,10" is valid path data.
+ */
+function scanPathData(d) {
+  var pos = 0,
+    numberRe = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g;
+
+  var skip = function() {
+    while (pos < d.length && /[\s,]/.test(d[pos])) pos++;
+  };
+
+  return {
+    done: function() {
+      skip();
+      return pos >= d.length;
+    },
+    // Returns the next command letter, or null if the next token is a number.
+    command: function() {
+      skip();
+      if (/[MmLlHhVvZzCcSsQqTtAa]/.test(d[pos])) return d[pos++];
+      if (/[\d.+\-]/.test(d[pos])) return null;
+      throw new Error('Unsupported path data at "' + d.slice(pos, pos + 10) + '"');
+    },
+    number: function() {
+      skip();
+      numberRe.lastIndex = pos;
+      var match = numberRe.exec(d);
+      if (!match || match.index !== pos) throw new Error('Expected a number in path data at "' + d.slice(pos, pos + 10) + '"');
+      pos = numberRe.lastIndex;
+      return parseFloat(match[0]);
+    },
+    flag: function() {
+      skip();
+      if (d[pos] !== '0' && d[pos] !== '1') throw new Error('Expected an arc flag in path data at "' + d.slice(pos, pos + 10) + '"');
+      return d[pos++] === '1';
+    }
+  };
+}
+
+/*
+ *  Takes the contents of a `d` attribute.
+ *  Returns an array of paths, one for every subpath.
+ */
+function parsePathData(d) {
+  var scanner = scanPathData(d || ''),
+    paths = [],
+    coords = null,
+    cur = { x: 0, y: 0 },
+    start = { x: 0, y: 0 },
+    // the control point to reflect for S/s (cubic) or T/t (quadratic) commands
+    cubicControl = null,
+    quadControl = null,
+    command = null;
+
+  // Ends the current subpath, if there is one.
+  var flush = function(closed) {
+    if (coords) paths.push(closed ? { coords: coords, closed: true } : { coords: coords });
+    coords = null;
+  };
+
+  // Adds the point to the current subpath, beginning a new one at the current point if needed.
+  // A curved segment has the two control points of its cubic Bézier curve in c.
+  var segmentTo = function(x, y, c) {
+    if (!coords) coords = [{ x: cur.x, y: cur.y }];
+    cur = { x: x, y: y };
+    coords.push(c ? { x: x, y: y, c: c } : { x: x, y: y });
+  };
+
+  // Reads a coordinate pair, relative to the current point for lowercase commands.
+  var point = function(relative) {
+    var x = scanner.number(), y = scanner.number();
+    return relative ? { x: cur.x + x, y: cur.y + y } : { x: x, y: y };
+  };
+
+  // Quadratic curves are stored as the equivalent cubic curves.
+  var quadTo = function(q, end) {
+    segmentTo(end.x, end.y, [
+      { x: cur.x + 2 / 3 * (q.x - cur.x), y: cur.y + 2 / 3 * (q.y - cur.y) },
+      { x: end.x + 2 / 3 * (q.x - end.x), y: end.y + 2 / 3 * (q.y - end.y) }
+    ]);
+  };
+
+  while (!scanner.done()) {
+    var letter = scanner.command();
+    if (letter) command = letter;
+    else if (command === null) throw new Error('Path data must begin with a command');
+    else if (command === 'Z' || command === 'z') throw new Error('Unexpected number after "' + command + '" in path data');
+
+    var relative = command === command.toLowerCase(),
+      nextCubicControl = null,
+      nextQuadControl = null,
+      c0, c1, q, end;
+    switch (command.toUpperCase()) {
+      case 'M':
+        flush();
+        cur = point(relative);
+        start = { x: cur.x, y: cur.y };
+        coords = [{ x: cur.x, y: cur.y }];
+        // further coordinate pairs after a moveto are implicit linetos
+        command = relative ? 'l' : 'L';
+        break;
+      case 'L':
+        end = point(relative);
+        segmentTo(end.x, end.y);
+        break;
+      case 'H':
+        var hX = scanner.number();
+        segmentTo(relative ? cur.x + hX : hX, cur.y);
+        break;
+      case 'V':
+        var vY = scanner.number();
+        segmentTo(cur.x, relative ? cur.y + vY : vY);
+        break;
+      case 'C':
+        c0 = point(relative);
+        c1 = point(relative);
+        end = point(relative);
+        segmentTo(end.x, end.y, [c0, c1]);
+        nextCubicControl = c1;
+        break;
+      case 'S':
+        c0 = cubicControl ? { x: 2 * cur.x - cubicControl.x, y: 2 * cur.y - cubicControl.y } : { x: cur.x, y: cur.y };
+        c1 = point(relative);
+        end = point(relative);
+        segmentTo(end.x, end.y, [c0, c1]);
+        nextCubicControl = c1;
+        break;
+      case 'Q':
+        q = point(relative);
+        end = point(relative);
+        quadTo(q, end);
+        nextQuadControl = q;
+        break;
+      case 'T':
+        q = quadControl ? { x: 2 * cur.x - quadControl.x, y: 2 * cur.y - quadControl.y } : { x: cur.x, y: cur.y };
+        end = point(relative);
+        quadTo(q, end);
+        nextQuadControl = q;
+        break;
+      case 'A':
+        var rx = scanner.number(),
+          ry = scanner.number(),
+          rotation = scanner.number(),
+          largeArc = scanner.flag(),
+          sweep = scanner.flag(),
+          from = cur;
+        end = point(relative);
+        var curves = arcToCubics(from.x, from.y, rx, ry, rotation, largeArc, sweep, end.x, end.y);
+        if (curves === null) segmentTo(end.x, end.y);
+        for (var i = 0; i < (curves || []).length; i++) segmentTo(curves[i][2].x, curves[i][2].y, [curves[i][0], curves[i][1]]);
+        break;
+      case 'Z':
+        if (coords) {
+          var last = coords[coords.length - 1];
+          // a straight line back to the start is the closing segment itself
+          if (coords.length > 2 && !last.c && last.x === start.x && last.y === start.y) coords.pop();
+        }
+        flush(true);
+        cur = { x: start.x, y: start.y };
+        break;
+    }
+    cubicControl = nextCubicControl;
+    quadControl = nextQuadControl;
+  }
+  flush();
+  return paths;
+}
+
+/*
+ *  Takes the endpoint parameters of an SVG elliptical arc, as in the A command.
+ *  Returns an array of cubic Bézier curves approximating the arc, each as [control0, control1, end],
+ *  with one curve for every quarter turn or less. Returns null if the arc is a straight line
+ *  (a radius of zero) and an empty array if the arc has no length.
+ *  The conversion follows the SVG implementation notes, "Elliptical arc implementation notes".
+ */
+function arcToCubics(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+  if (x1 === x2 && y1 === y2) return [];
+  if (rx === 0 || ry === 0) return null;
+
+  var phi = rotation * Math.PI / 180,
+    cosPhi = Math.cos(phi),
+    sinPhi = Math.sin(phi);
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+
+  // the midpoint between the endpoints, in the coordinate system of the ellipse
+  var dx = (x1 - x2) / 2,
+    dy = (y1 - y2) / 2,
+    x1p = cosPhi * dx + sinPhi * dy,
+    y1p = -sinPhi * dx + cosPhi * dy;
+
+  // scale the radii up if they are too small to reach from one endpoint to the other
+  var lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  var num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p,
+    den = rx * rx * y1p * y1p + ry * ry * x1p * x1p,
+    k = Math.sqrt(Math.max(0, num / den)) * (largeArc === sweep ? -1 : 1),
+    cxp = k * rx * y1p / ry,
+    cyp = -k * ry * x1p / rx,
+    cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2,
+    cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+
+  var angle = function(ux, uy, vx, vy) {
+    return Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  };
+  var theta = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry),
+    delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  else if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  // Takes an angle on the ellipse, returns the point there, or the derivative there if derivative is set.
+  var onEllipse = function(a, derivative) {
+    var ex = derivative ? -rx * Math.sin(a) : rx * Math.cos(a),
+      ey = derivative ? ry * Math.cos(a) : ry * Math.sin(a);
+    return {
+      x: cosPhi * ex - sinPhi * ey + (derivative ? 0 : cx),
+      y: sinPhi * ex + cosPhi * ey + (derivative ? 0 : cy)
+    };
+  };
+
+  var pieces = Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9),
+    step = delta / pieces,
+    // the length of the control arms for a cubic approximation of an arc of angle step
+    arm = 4 / 3 * Math.tan(step / 4),
+    curves = [];
+  for (var i = 0; i < pieces; i++) {
+    var a0 = theta + i * step,
+      a1 = a0 + step,
+      p0 = onEllipse(a0),
+      p1 = i === pieces - 1 ? { x: x2, y: y2 } : onEllipse(a1),
+      d0 = onEllipse(a0, true),
+      d1 = onEllipse(a1, true);
+    curves.push([
+      { x: p0.x + arm * d0.x, y: p0.y + arm * d0.y },
+      { x: p1.x - arm * d1.x, y: p1.y - arm * d1.y },
+      p1
+    ]);
+  }
+  return curves;
+}
+
+/*
+ *  Takes the contents of a `points` attribute ("x1,y1 x2,y2 ...").
+ *  Returns a single path.
+ */
+function parsePoints(points) {
+  var numbers = (points || '').split(/[\s,]+/).filter(function(n) { return n !== ''; }).map(Number),
+    coords = [];
+  if (numbers.length % 2 !== 0) throw new Error('Odd number of coordinates in points: "' + points + '"');
+  for (var i = 0; i < numbers.length; i += 2) {
+    if (isNaN(numbers[i]) || isNaN(numbers[i + 1])) throw new Error('Invalid coordinate in points: "' + points + '"');
+    coords.push({ x: numbers[i], y: numbers[i + 1] });
+  }
+  return { coords: coords };
+}
+
+/*
+ *  Takes the contents of a `transform` attribute: a list of matrix, translate, scale, rotate, skewX and skewY
+ *    functions, applied from the last to the first.
+ *  Returns the {a, b, c, d, e, f} matrix of all of them together, that maps x, y to a x + c y + e, b x + d y + f.
+ *  Throws an Error if the list is not one of these functions, each with as many numbers as it takes.
+ */
+function parseTransform(transform) {
+  var m = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 },
+    listRe = /^[\s,]*(?:(?:matrix|translate|scale|rotate|skewX|skewY)\s*\([^)]*\)[\s,]*)*$/,
+    functionRe = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g,
+    number = '[-+]?(?:\\d+\\.?\\d*|\\.\\d+)(?:[eE][-+]?\\d+)?',
+    argumentsRe = new RegExp('^\\s*(?:' + number + '(?:\\s*,?\\s*' + number + ')*)?\\s*$'),
+    numberRe = new RegExp(number, 'g'),
+    counts = { matrix: [6], translate: [1, 2], scale: [1, 2], rotate: [1, 3], skewX: [1], skewY: [1] },
+    match;
+  transform = transform || '';
+  if (!listRe.test(transform)) throw new Error('Invalid transform "' + transform + '"');
+
+  // the matrix of m followed by n, which is applied first
+  var multiply = function(n) {
+    m = {
+      a: m.a * n.a + m.c * n.b,
+      b: m.b * n.a + m.d * n.b,
+      c: m.a * n.c + m.c * n.d,
+      d: m.b * n.c + m.d * n.d,
+      e: m.a * n.e + m.c * n.f + m.e,
+      f: m.b * n.e + m.d * n.f + m.f
+    };
+  };
+
+  while ((match = functionRe.exec(transform || '')) !== null) {
+    var args = (match[2].match(numberRe) || []).map(parseFloat);
+    if (!argumentsRe.test(match[2]) || counts[match[1]].indexOf(args.length) === -1) {
+      throw new Error('Invalid arguments to ' + match[1] + '() in transform "' + transform + '"');
+    }
+    var angle = args[0] * Math.PI / 180;
+    switch (match[1]) {
+      case 'matrix':
+        multiply({ a: args[0], b: args[1], c: args[2], d: args[3], e: args[4], f: args[5] });
+        break;
+      case 'translate':
+        multiply({ a: 1, b: 0, c: 0, d: 1, e: args[0], f: args.length > 1 ? args[1] : 0 });
+        break;
+      case 'scale':
+        multiply({ a: args[0], b: 0, c: 0, d: args.length > 1 ? args[1] : args[0], e: 0, f: 0 });
+        break;
+      case 'rotate':
+        // rotate(angle, cx, cy) turns around cx, cy instead of the origin
+        if (args.length > 2) multiply({ a: 1, b: 0, c: 0, d: 1, e: args[1], f: args[2] });
+        multiply({ a: Math.cos(angle), b: Math.sin(angle), c: -Math.sin(angle), d: Math.cos(angle), e: 0, f: 0 });
+        if (args.length > 2) multiply({ a: 1, b: 0, c: 0, d: 1, e: -args[1], f: -args[2] });
+        break;
+      case 'skewX':
+        multiply({ a: 1, b: 0, c: Math.tan(angle), d: 1, e: 0, f: 0 });
+        break;
+      case 'skewY':
+        multiply({ a: 1, b: Math.tan(angle), c: 0, d: 1, e: 0, f: 0 });
+        break;
+    }
+  }
+  return m;
+}
+
+/*
+ *  Takes a <path>, <polyline>, <polygon> or <line> element (anything with a tagName and getAttribute).
+ *  Returns the array of paths described by the element's geometry attributes. The stroke-width and
+ *  stroke-linecap attributes are copied onto every path, so erase() can account for the width of the stroke.
+ */
+function pathsFromElement(element) {
+  var tag = (element.tagName || element.nodeName).toLowerCase(),
+    attr = function(name) { return parseFloat(element.getAttribute(name)) || 0; },
+    paths;
+
+  switch (tag) {
+    case 'path':
+      paths = parsePathData(element.getAttribute('d'));
+      break;
+    case 'polyline':
+      paths = [parsePoints(element.getAttribute('points'))];
+      break;
+    case 'polygon':
+      var polygon = parsePoints(element.getAttribute('points'));
+      if (polygon.coords.length > 1) polygon.closed = true;
+      paths = [polygon];
+      break;
+    case 'line':
+      paths = [{ coords: [{ x: attr('x1'), y: attr('y1') }, { x: attr('x2'), y: attr('y2') }] }];
+      break;
+    default:
+      throw new Error('Cannot erase <' + tag + '> elements');
+  }
+
+  ['stroke-width', 'stroke-linecap'].forEach(function(name) {
+    var value = element.getAttribute(name);
+    if (value === null || value === undefined) return;
+    for (var i = 0; i < paths.length; i++) paths[i][name] = value;
+  });
+  return paths;
+}
+
+/*
+ *  Takes a number and an optional number of decimal places.
+ *  Returns the number as a string without floating-point noise such as 0.30000000000000004.
+ */
+function formatNumber(n, precision) {
+  if (precision !== undefined) return String(+n.toFixed(precision));
+  return String(+n.toPrecision(12));
+}
+
+/*
+ *  Takes an array of paths and an optional number of decimal places for the coordinates.
+ *  Returns the `d` string that draws all of them. A closed path ends with Z, and the holes of a path
+ *  follow it as closed subpaths of their own.
+ */
+function serializePathData(paths, precision) {
+  var d = '',
+    pair = function(p) { return formatNumber(p.x, precision) + ',' + formatNumber(p.y, precision); };
+
+  for (var p = 0; p < paths.length; p++) {
+    var coords = paths[p].coords,
+      n = coords.length,
+      closed = paths[p].closed && n > 1;
+    for (var i = 0; i < n; i++) {
+      if (i === 0) d += 'M' + pair(coords[i]);
+      else if (coords[i].c) d += 'C' + pair(coords[i].c[0]) + ' ' + pair(coords[i].c[1]) + ' ' + pair(coords[i]);
+      // a straight line back to the first point is drawn by the Z itself
+      else if (!(closed && i === n - 1 && coords[i].x === coords[0].x && coords[i].y === coords[0].y)) d += 'L' + pair(coords[i]);
+    }
+    if (closed) d += 'Z';
+    // the holes of a filled shape left by erasing in area mode
+    for (var h = 0; h < (paths[p].holes || []).length; h++) d += serializePathData([{ coords: paths[p].holes[h], closed: true }], precision);
+  }
+  return d;
+}
+
+/*
+ *  Takes the contents of a `d` attribute and the arguments of erase().
+ *  Returns the `d` attribute of what is left, an empty string if everything was erased.
+ */
+function eraseSvgPathData(d, erasePath, eraseRadius) {
+  return serializePathData(erase(parsePathData(d), erasePath, eraseRadius));
+}
+
+/*
+ *  Takes a <path>, <polyline>, <polygon> or <line> element and the arguments of erase().
+ *  Returns the `d` attribute of what is left of the element, an empty string if everything was erased.
+ *  The element itself is not changed.
+ */
+function eraseElement(element, erasePath, eraseRadius) {
+  return serializePathData(erase(pathsFromElement(element), erasePath, eraseRadius));
+}
@@ -1,5 +1,20 @@
 /// testing with nodeunit
 var erase  = require('./erase.js').erase;
+var eraseObjects = require('./erase.js').eraseObjects;
+var rectangleEraser = require('./erase.js').rectangleEraser;
+var circleEraser = require('./erase.js').circleEraser;
+var eraseChanges = require('./erase.js').eraseChanges;
+var EraseInputError = require('./erase.js').EraseInputError;
+var queryErase = require('./erase.js').queryErase;
+var hitTest = require('./erase.js').hitTest;
+var svgPath = require('./svg_path.js');
+var EraseHistory = require('./erase_history.js').EraseHistory;
+var EraseIndex = require('./spatial_index.js').EraseIndex;
+var EraseSession = require('./erase_session.js').EraseSession;
+var flatErase = require('./flat_erase.js');
+var eraseSvg = require('./erase_svg.js').eraseSvg;
+var replayCase = require('./replay.js').replayCase;
+var svgEraser = require('./svg_eraser.js').svgEraser;
 
 exports['cut single segment with circle at middle'] = function(test) {
 	var res = erase([[[0,0],[40,0]]], [[20,0]], 10);
@@ -54,3 +69,872 @@ exports['cut vertical segment with circle in middle'] = function(test) {
 
   test.done();
 }
+
+exports['parse relative and implicit path data'] = function(test) {
+  var paths = svgPath.parsePathData('m10,10 20,0 v20 h-20 z M50 50 L60 50 70 60');
+  test.deepEqual(paths, [{coords: [{x: 10, y: 10}, {x: 30, y: 10}, {x: 30, y: 30}, {x: 10, y: 30}], closed: true}
+                        ,{coords: [{x: 50, y: 50}, {x: 60, y: 50}, {x: 70, y: 60}]}]);
+  test.equal(svgPath.serializePathData(paths), 'M10,10L30,10L30,30L10,30ZM50,50L60,50L70,60');
+  test.done();
+}
+
+exports['erase path data'] = function(test) {
+  test.equal(svgPath.eraseSvgPathData('M0 0h40', [{x: 20, y: 0}], 10), 'M0,0L10,0M30,0L40,0');
+  test.equal(svgPath.eraseSvgPathData('M0 0h40m0 20h40', [{x: 20, y: 0}, {x: 20, y: 20}], 10), 'M0,0L10,0M30,0L40,0M40,20L80,20');
+  test.equal(svgPath.eraseSvgPathData('M0 0h40', [{x: 20, y: 0}], 30), '');
+  test.done();
+}
+
+exports['cut curve with circle at middle'] = function(test) {
+  var res = erase([{coords: [{x: 0, y: 0}, {x: 40, y: 0, c: [{x: 0, y: 40}, {x: 40, y: 40}]}]}], [{x: 20, y: 30}], 5);
+  test.equal(res.length, 2);
+  // the pieces are still curves that start and end where the original did
+  test.deepEqual(res[0].coords[0], {x: 0, y: 0});
+  test.ok(res[0].coords[1].c);
+  test.deepEqual([res[1].coords[1].x, res[1].coords[1].y], [40, 0]);
+  test.ok(res[1].coords[1].c);
+  // and they end on the border of the eraser
+  test.ok(Math.abs(Math.sqrt(Math.pow(res[0].coords[1].x - 20, 2) + Math.pow(res[0].coords[1].y - 30, 2)) - 5) < 1e-6);
+  test.ok(Math.abs(Math.sqrt(Math.pow(res[1].coords[0].x - 20, 2) + Math.pow(res[1].coords[0].y - 30, 2)) - 5) < 1e-6);
+  test.done();
+}
+
+exports['parse curves and arcs'] = function(test) {
+  test.equal(svgPath.serializePathData(svgPath.parsePathData('M0 0c0 10 10 10 10 0s10-10 10 0')), 'M0,0C0,10 10,10 10,0C10,-10 20,-10 20,0');
+  test.equal(svgPath.serializePathData(svgPath.parsePathData('M0 0Q15 15 30 0t30 0')), 'M0,0C10,10 20,10 30,0C40,-10 50,-10 60,0');
+  test.equal(svgPath.serializePathData(svgPath.parsePathData('M0 0a10 10 0 0110 10'), 3), 'M0,0C5.523,0 10,4.477 10,10');
+  test.done();
+}
+
+exports['cut thick segment with round caps'] = function(test) {
+  var path = function() {
+    return {coords: [{x: 0, y: 0}, {x: 40, y: 0}], 'stroke-width': 4, 'stroke-linecap': 'round'};
+  };
+  var res = erase([path()], [{x: 20, y: 0}], 10);
+  test.deepEqual(res.map(function(p) { return p.coords; }), [[{x: 0, y: 0}, {x: 8, y: 0}], [{x: 32, y: 0}, {x: 40, y: 0}]]);
+
+  res = erase([path()], [{x: 20, y: 0}], 10, {strokeMode: 'covered'});
+  test.deepEqual(res.map(function(p) { return p.coords; }), [[{x: 0, y: 0}, {x: 12, y: 0}], [{x: 28, y: 0}, {x: 40, y: 0}]]);
+  test.done();
+}
+
+exports['cut thick segment with butt caps'] = function(test) {
+  // the eraser misses the center line, but not the ink
+  var path = function() {
+    return {coords: [{x: 0, y: 0}, {x: 40, y: 0}], 'stroke-width': 4};
+  };
+  var res = erase([path()], [{x: 20, y: 11}], 10);
+  test.equal(res.length, 2);
+  test.ok(Math.abs(res[0].coords[1].x - (20 - Math.sqrt(19))) < 1e-6);
+  test.ok(Math.abs(res[1].coords[0].x - (20 + Math.sqrt(19))) < 1e-6);
+
+  // but none of the ink is covered completely
+  res = erase([path()], [{x: 20, y: 11}], 10, {strokeMode: 'covered'});
+  test.deepEqual(res.map(function(p) { return p.coords; }), [[{x: 0, y: 0}, {x: 40, y: 0}]]);
+  test.done();
+}
+
+exports['remove whole paths in object mode'] = function(test) {
+  var paths = [{coords: [{x: 0, y: 0}, {x: 40, y: 0}]}
+              ,{coords: [{x: 0, y: 30}, {x: 40, y: 30}]}
+              ,{coords: [{x: 100, y: 100}]}];
+  var res = eraseObjects(paths, [{x: 20, y: -5}, {x: 20, y: 5}], 8);
+  test.deepEqual(res.removed, [0]);
+  test.deepEqual(res.paths, [paths[1], paths[2]]);
+
+  // grazing the border does not count as touching
+  test.deepEqual(eraseObjects(paths, [{x: 20, y: 40}], 10).removed, []);
+  test.equal(erase(paths, [{x: 100, y: 95}], 6, {mode: 'object'}).length, 2);
+  test.done();
+}
+
+exports['list changes without touching the input'] = function(test) {
+  var paths = [{id: 'a', coords: [{x: 0, y: 0}, {x: 40, y: 0}]}
+              ,{coords: [{x: 0, y: 30}, {x: 40, y: 30}]}
+              ,{coords: [{x: 20, y: 5}]}];
+  var before = JSON.stringify(paths);
+  var changes = eraseChanges(paths, [{x: 20, y: 0}], 10);
+  test.equal(JSON.stringify(paths), before);
+  test.deepEqual(changes.unchanged, [1]);
+  test.deepEqual(changes.deleted, [2]);
+  test.equal(changes.replaced.length, 1);
+  test.equal(changes.replaced[0].source, 0);
+  test.equal(changes.replaced[0].id, 'a');
+  test.deepEqual(changes.replaced[0].fragments.map(function(f) { return [f.source, f.coords]; }),
+                 [[0, [{x: 0, y: 0}, {x: 10, y: 0}]], [0, [{x: 30, y: 0}, {x: 40, y: 0}]]]);
+  test.equal(changes.paths.length, 3);
+  test.strictEqual(changes.paths[2], paths[1]);
+  test.done();
+}
+
+exports['undo and redo erasing'] = function(test) {
+  var paths = [{coords: [{x: 0, y: 0}, {x: 40, y: 0}]}
+              ,{coords: [{x: 0, y: 30}, {x: 40, y: 30}]}];
+  var coords = function(ps) { return ps.map(function(p) { return p.coords.map(function(q) { return [q.x, q.y]; }); }); };
+  var history = new EraseHistory(paths);
+
+  history.erase([{x: 20, y: 0}], 10);
+  history.erase([{x: 0, y: 30}], 5);
+  test.deepEqual(coords(history.paths), [[[0, 0], [10, 0]], [[30, 0], [40, 0]], [[5, 30], [40, 30]]]);
+  history.undo();
+  test.deepEqual(coords(history.undo()), coords(paths));
+  test.strictEqual(history.paths[0], paths[0]);
+  test.ok(!history.canUndo());
+  history.redo();
+  test.deepEqual(coords(history.redo()), [[[0, 0], [10, 0]], [[30, 0], [40, 0]], [[5, 30], [40, 30]]]);
+  test.done();
+}
+
+exports['coalesce erasing into one step and limit the depth'] = function(test) {
+  var paths = [{coords: [{x: 0, y: 0}, {x: 40, y: 0}]}];
+  var history = new EraseHistory(paths, {limit: 1});
+
+  history.erase([{x: 40, y: 0}], 5);
+  history.beginGroup();
+  history.erase([{x: 0, y: 0}], 5);
+  history.erase([{x: 20, y: 0}], 5);
+  history.endGroup();
+  test.equal(history.paths.length, 2);
+  test.deepEqual(history.undo()[0].coords, [{x: 0, y: 0}, {x: 35, y: 0}]);
+  // the first step was dropped
+  test.ok(!history.canUndo());
+  test.done();
+}
+
+exports['erase through a spatial index'] = function(test) {
+  var paths = [];
+  for (var i = 0; i < 20; i++) paths.push({coords: [{x: i * 50, y: 0}, {x: i * 50 + 40, y: 0}, {x: i * 50 + 40, y: 40}]});
+  var index = new EraseIndex(paths, {cellSize: 30});
+  var erasePath = [{x: 0, y: 20}, {x: 400, y: 20}];
+
+  test.deepEqual(index.query({minX: 85, minY: -5, maxX: 105, maxY: 5}), [paths[1], paths[2]]);
+  var coords = function(ps) { return ps.map(function(p) { return p.coords; }); };
+  test.deepEqual(coords(index.erase(erasePath, 10)), coords(erase(paths, erasePath, 10)));
+  test.equal(index.paths[2].source, 1);
+  // the untouched paths are still the same objects, and the fragments were indexed
+  test.strictEqual(index.paths[index.paths.length - 1], paths[19]);
+  test.equal(index.query({minX: 0, minY: 35, maxX: 10, maxY: 45}).length, 0);
+  test.equal(index.query({minX: 35, minY: 35, maxX: 45, maxY: 45}).length, 1);
+
+  // an erasePath of [x, y] points is read the way erase() reads it, and an empty one is rejected the same way
+  var segment = [{coords: [{x: 0, y: 0}, {x: 40, y: 0}]}];
+  test.deepEqual(coords(new EraseIndex(segment).erase([[20, 0], [20, 5]], 5)), coords(erase(segment, [[20, 0], [20, 5]], 5)));
+  test.equal(new EraseIndex(segment).erase([[20, 0], [20, 5]], 5).length, 2);
+  test.throws(function() { new EraseIndex(segment).erase([], 5); }, function(error) {
+    return error instanceof EraseInputError && error.code === 'EMPTY_ERASE_PATH';
+  });
+  test.done();
+}
+
+exports['erase live while dragging'] = function(test) {
+  var paths = [{coords: [{x: 0, y: 0}, {x: 40, y: 0}]}
+              ,{coords: [{x: 0, y: 30}, {x: 40, y: 30}]}
+              ,{coords: [{x: 100, y: 100}, {x: 120, y: 100}]}];
+  var erasePath = [{x: 20, y: -20}, {x: 20, y: 10}, {x: 20, y: 10}, {x: 25, y: 50}];
+  var session = new EraseSession(paths, 5);
+
+  session.begin(erasePath[0]);
+  var changes = session.move(erasePath[1]);
+  test.deepEqual(changes.removed, [paths[0]]);
+  test.equal(changes.added.length, 2);
+  test.deepEqual(session.move(erasePath[2]), {removed: [], added: []});
+  changes = session.move(erasePath[3]);
+  test.deepEqual(changes.removed, [paths[1]]);
+  session.end();
+
+  var coords = function(ps) { return ps.map(function(p) { return p.coords; }); };
+  test.deepEqual(coords(session.paths), coords(erase(paths, erasePath, 5)));
+  test.strictEqual(session.paths[4], paths[2]);
+
+  // [x, y] points are compared as points, not skipped as repeats
+  session = new EraseSession(paths, 5);
+  session.begin([20, -20]);
+  test.deepEqual(session.move([20, 10]).removed, [paths[0]]);
+  session.move([25, 50]);
+  session.end();
+  test.deepEqual(coords(session.paths), coords(erase(paths, erasePath, 5)));
+
+  // a lasso is erased as a whole when the stroke ends
+  var lasso = [{x: -10, y: -10}, {x: 50, y: -10}, {x: 50, y: 40}, {x: -10, y: 40}];
+  session = new EraseSession(paths, {mode: 'lasso'});
+  session.begin(lasso[0]);
+  for (var l = 1; l < lasso.length; l++) test.deepEqual(session.move(lasso[l]), {removed: [], added: []});
+  test.deepEqual(session.end().removed, [paths[0], paths[1]]);
+  test.deepEqual(coords(session.paths), coords(erase(paths, lasso, {mode: 'lasso'})));
+
+  // so is a crop, through an index as well
+  var stroke = [{x: 10, y: -10}, {x: 10, y: 40}, {x: 30, y: 40}];
+  [paths, new EraseIndex(paths)].forEach(function(target) {
+    session = new EraseSession(target, {radius: 5, crop: true});
+    session.begin(stroke[0]);
+    test.deepEqual(session.move(stroke[1]), {removed: [], added: []});
+    session.move(stroke[2]);
+    session.end();
+    test.deepEqual(coords(session.paths), coords(erase(paths, stroke, {radius: 5, crop: true})));
+  });
+  test.deepEqual(coords(new EraseIndex(paths).erase(stroke, {radius: 5, crop: true})), coords(erase(paths, stroke, {radius: 5, crop: true})));
+  test.done();
+}
+
+exports['erase a tap when the session ends'] = function(test) {
+  var paths = [{coords: [{x: 0, y: 0}, {x: 40, y: 0}]}];
+  var history = new EraseHistory(paths);
+  var session = new EraseSession(history, 10);
+
+  session.begin({x: 20, y: 0});
+  test.equal(session.end().added.length, 2);
+  test.equal(history.paths.length, 2);
+  history.undo();
+  test.deepEqual(history.paths, paths);
+  test.done();
+}
+
+exports['cut closed paths'] = function(test) {
+  var square = function() {
+    return {closed: true, coords: [{x: 0, y: 0}, {x: 40, y: 0}, {x: 40, y: 40}, {x: 0, y: 40}]};
+  };
+  var coords = function(ps) { return ps.map(function(p) { return p.coords; }); };
+
+  // one cut leaves one open path from one side of the cut around to the other
+  var res = erase([square()], [{x: 20, y: 0}], 5);
+  test.deepEqual(coords(res), [[{x: 25, y: 0}, {x: 40, y: 0}, {x: 40, y: 40}, {x: 0, y: 40}, {x: 0, y: 0}, {x: 15, y: 0}]]);
+  test.ok(!res[0].closed);
+
+  // the closing segment is erased like the others
+  res = erase([square()], [{x: 0, y: 20}], 5);
+  test.deepEqual(coords(res), [[{x: 0, y: 15}, {x: 0, y: 0}, {x: 40, y: 0}, {x: 40, y: 40}, {x: 0, y: 40}, {x: 0, y: 25}]]);
+  test.deepEqual(eraseObjects([square()], [{x: 0, y: 20}], 5).removed, [0]);
+
+  // two cuts leave two paths, and a path the eraser misses stays closed
+  res = erase([square()], [{x: 20, y: -10}, {x: 20, y: 50}], 5);
+  test.deepEqual(coords(res), [[{x: 25, y: 0}, {x: 40, y: 0}, {x: 40, y: 40}, {x: 25, y: 40}]
+                              ,[{x: 15, y: 40}, {x: 0, y: 40}, {x: 0, y: 0}, {x: 15, y: 0}]]);
+  var untouched = square();
+  test.strictEqual(erase([untouched], [{x: 100, y: 100}], 5)[0], untouched);
+
+  test.equal(svgPath.eraseSvgPathData('M0 0H40V40H0Z', [{x: 20, y: 0}], 5), 'M25,0L40,0L40,40L0,40L0,0L15,0');
+  test.done();
+}
+
+exports['erase from filled shapes'] = function(test) {
+  var square = function() {
+    return {fill: '#ffff00', coords: [{x: 0, y: 0}, {x: 100, y: 0}, {x: 100, y: 100}, {x: 0, y: 100}]};
+  };
+  var area = function(ring) {
+    var a = 0;
+    for (var i = 0; i < ring.length; i++) a += ring[i].x * ring[(i + 1) % ring.length].y - ring[(i + 1) % ring.length].x * ring[i].y;
+    return a / 2;
+  };
+
+  // a circle in the middle leaves a hole, running the other way around than the outline
+  var res = erase([square()], [{x: 50, y: 50}], 10, {mode: 'area'});
+  test.equal(res.length, 1);
+  test.equal(res[0].holes.length, 1);
+  test.ok(res[0].closed);
+  test.ok(Math.abs(area(res[0].coords) + area(res[0].holes[0]) - (10000 - Math.PI * 100)) < 10);
+  test.ok(area(res[0].coords) * area(res[0].holes[0]) < 0);
+  test.equal(res[0].fill, '#ffff00');
+
+  // a stroke across cuts the shape in two
+  res = erase([square()], [{x: -20, y: 50}, {x: 120, y: 50}], 10, {mode: 'area'});
+  test.equal(res.length, 2);
+  test.deepEqual(res.map(function(p) { return Math.abs(area(p.coords)); }), [4000, 4000]);
+  test.ok(!res[0].holes && !res[1].holes);
+
+  // shapes the eraser does not reach stay as they are
+  var untouched = square();
+  test.strictEqual(erase([untouched], [{x: -20, y: -10}, {x: 120, y: -10}], 10, {mode: 'area'})[0], untouched);
+
+  // the array format has no room for holes, so area mode needs paths returned as objects
+  var arrays = [[[0, 0], [100, 0], [100, 100], [0, 100]]];
+  test.throws(function() { erase(arrays, [[50, 50]], 10, {mode: 'area'}); }, function(error) {
+    return error instanceof EraseInputError && error.code === 'INVALID_OPTION';
+  });
+  test.throws(function() { erase([square()], [[50, 50]], 10, {mode: 'area', format: 'array'}); }, EraseInputError);
+  test.throws(function() { eraseChanges(arrays, [[50, 50]], {radius: 10, mode: 'area'}); }, EraseInputError);
+  test.equal(erase(arrays, [[50, 50]], 10, {mode: 'area', format: 'object'})[0].holes.length, 1);
+
+  test.equal(svgPath.serializePathData([{closed: true, coords: [{x: 0, y: 0}, {x: 9, y: 0}, {x: 9, y: 9}],
+    holes: [[{x: 1, y: 1}, {x: 2, y: 2}, {x: 3, y: 1}]]}]), 'M0,0L9,0L9,9ZM1,1L2,2L3,1Z');
+  test.done();
+}
+
+exports['cut with a tapered capsule'] = function(test) {
+  var segment = function() { return {coords: [{x: 0, y: 0}, {x: 100, y: 0}]}; };
+  var coords = function(ps) { return ps.map(function(p) { return p.coords; }); };
+
+  // along the axis the eraser reaches from 2 before its first point to 10 past its last
+  test.deepEqual(coords(erase([segment()], [{x: 20, y: 0, r: 2}, {x: 80, y: 0, r: 10}], 5)),
+                 [[{x: 0, y: 0}, {x: 18, y: 0}], [{x: 90, y: 0}, {x: 100, y: 0}]]);
+
+  // across it, the lines touching both circles are farther out than the radius in the middle
+  var res = erase([segment()], [{x: 50, y: -50, r: 0}, {x: 50, y: 50, r: 20}], 5),
+    halfWidth = 10 / Math.sqrt(1 - 0.2 * 0.2);
+  test.ok(Math.abs(res[0].coords[1].x - (50 - halfWidth)) < 1e-9);
+  test.ok(Math.abs(res[1].coords[0].x - (50 + halfWidth)) < 1e-9);
+
+  // a circle that contains the other one is all there is of the eraser
+  test.deepEqual(coords(erase([segment()], [{x: 50, y: 0, r: 30}, {x: 55, y: 0, r: 1}], 5)),
+                 [[{x: 0, y: 0}, {x: 20, y: 0}], [{x: 80, y: 0}, {x: 100, y: 0}]]);
+
+  // points with the same radius cut like the eraseRadius does
+  test.deepEqual(coords(erase([segment()], [{x: 50, y: -20, r: 10}, {x: 50, y: 20, r: 10}], 5)),
+                 coords(erase([segment()], [{x: 50, y: -20}, {x: 50, y: 20}], 10)));
+  test.deepEqual(eraseObjects([segment()], [{x: 50, y: 6, r: 1}, {x: 50, y: 200, r: 3}], 5).removed, []);
+  test.done();
+}
+
+exports['cut with polygon erasers'] = function(test) {
+  var segment = function() { return {coords: [{x: 0, y: 0}, {x: 100, y: 0}]}; };
+  var coords = function(ps) { return ps.map(function(p) { return p.coords; }); };
+  var square = rectangleEraser(20, 20);
+
+  test.deepEqual(coords(erase([segment()], [{x: 50, y: 5}], 10, {shape: square})),
+                 [[{x: 0, y: 0}, {x: 40, y: 0}], [{x: 60, y: 0}, {x: 100, y: 0}]]);
+  // the border of the eraser is outside of it
+  test.deepEqual(coords(erase([segment()], [{x: 50, y: 10}], 10, {shape: square})), [[{x: 0, y: 0}, {x: 100, y: 0}]]);
+  // a polygon has a size of its own, so a radius of 0 leaves it as it is
+  test.deepEqual(coords(erase([segment()], [{x: 50, y: 5}], {radius: 0, shape: square})),
+                 [[{x: 0, y: 0}, {x: 40, y: 0}], [{x: 60, y: 0}, {x: 100, y: 0}]]);
+
+  // a chisel keeps its angle, or turns with the stroke
+  var chisel = rectangleEraser(4, 24);
+  test.deepEqual(coords(erase([segment()], [{x: 50, y: -30}, {x: 50, y: 30}], 10, {shape: chisel})),
+                 [[{x: 0, y: 0}, {x: 48, y: 0}], [{x: 52, y: 0}, {x: 100, y: 0}]]);
+  test.deepEqual(coords(erase([segment()], [{x: 50, y: -30}, {x: 50, y: 30}], 10, {shape: rectangleEraser(4, 24, {follow: true})})),
+                 [[{x: 0, y: 0}, {x: 38, y: 0}], [{x: 62, y: 0}, {x: 100, y: 0}]]);
+  var res = erase([segment()], [{x: 50, y: 0}], 10, {shape: rectangleEraser(20, 20, {rotation: Math.PI / 4})});
+  test.ok(Math.abs(res[0].coords[1].x - (50 - 10 * Math.SQRT2)) < 1e-9);
+
+  // the circle is a shape as well
+  test.deepEqual(coords(erase([segment()], [{x: 50, y: 0}], 10, {shape: circleEraser()})),
+                 coords(erase([segment()], [{x: 50, y: 0}], 10)));
+  test.deepEqual(eraseObjects([segment(), {coords: [{x: 0, y: 50}, {x: 100, y: 50}]}], [{x: 50, y: 5}], 10, {shape: square}).removed, [0]);
+  test.deepEqual(erase([{coords: [{x: 0, y: 0}, {x: 100, y: 0}, {x: 100, y: 100}, {x: 0, y: 100}]}], [{x: 50, y: 50}], 10,
+                 {mode: 'area', shape: square})[0].holes, [[{x: 60, y: 40}, {x: 40, y: 40}, {x: 40, y: 60}, {x: 60, y: 60}]]);
+  test.done();
+}
+
+exports['erase inside a lasso'] = function(test) {
+  var segment = function() { return {coords: [{x: 0, y: 0}, {x: 100, y: 0}]}; };
+  var coords = function(ps) { return ps.map(function(p) { return p.coords; }); };
+  var box = [{x: 20, y: -10}, {x: 40, y: -10}, {x: 40, y: 10}, {x: 20, y: 10}];
+
+  test.deepEqual(coords(erase([segment()], box, 0, {mode: 'lasso'})),
+                 [[{x: 0, y: 0}, {x: 20, y: 0}], [{x: 40, y: 0}, {x: 100, y: 0}]]);
+
+  // a lasso that crosses itself: both loops of the bow tie are inside
+  var bowTie = [{x: 20, y: -10}, {x: 80, y: 10}, {x: 80, y: -10}, {x: 20, y: 10}];
+  test.deepEqual(coords(erase([segment()], bowTie, 0, {mode: 'lasso'})),
+                 [[{x: 0, y: 0}, {x: 20, y: 0}], [{x: 80, y: 0}, {x: 100, y: 0}]]);
+
+  // going around twice is inside with the nonzero rule, but not with evenodd
+  var twice = box.concat(box);
+  test.equal(erase([segment()], twice, 0, {mode: 'lasso'}).length, 2);
+  test.deepEqual(coords(erase([segment()], twice, 0, {mode: 'lasso', fillRule: 'evenodd'})), [coords([segment()])[0]]);
+
+  // the same through the spatial index
+  var index = new EraseIndex([segment(), {coords: [{x: 0, y: 50}, {x: 100, y: 50}]}]);
+  test.deepEqual(coords(index.erase(box, 0, {mode: 'lasso'})),
+                 [[{x: 0, y: 0}, {x: 20, y: 0}], [{x: 40, y: 0}, {x: 100, y: 0}], [{x: 0, y: 50}, {x: 100, y: 50}]]);
+  test.done();
+}
+
+exports['crop to the eraser'] = function(test) {
+  var segment = function() { return {coords: [{x: 0, y: 0}, {x: 100, y: 0}]}; };
+  var far = function() { return {coords: [{x: 0, y: 50}, {x: 100, y: 50}]}; };
+  var coords = function(ps) { return ps.map(function(p) { return p.coords; }); };
+
+  // crop keeps exactly what erase removes
+  test.deepEqual(coords(erase([segment()], [{x: 50, y: 0}], 10, {crop: true})), [[{x: 40, y: 0}, {x: 60, y: 0}]]);
+  test.deepEqual(coords(erase([segment(), far()], [{x: 20, y: 0}, {x: 40, y: 0}, {x: 70, y: 0}], 5, {crop: true})),
+                 [[{x: 15, y: 0}, {x: 75, y: 0}]]);
+  test.deepEqual(coords(erase([segment()], [{x: 50, y: 0}], 10, {crop: true, shape: rectangleEraser(20, 20)})),
+                 [[{x: 40, y: 0}, {x: 60, y: 0}]]);
+
+  var box = [{x: 20, y: -10}, {x: 40, y: -10}, {x: 40, y: 10}, {x: 20, y: 10}];
+  test.deepEqual(coords(erase([segment()], box, 0, {mode: 'lasso', crop: true})), [[{x: 20, y: 0}, {x: 40, y: 0}]]);
+
+  // the part of a closed path around its first point stays in one piece
+  var square = {closed: true, coords: [{x: 0, y: 0}, {x: 100, y: 0}, {x: 100, y: 100}, {x: 0, y: 100}]};
+  test.deepEqual(coords(erase([square], [{x: 0, y: 0}], 10, {crop: true})), [[{x: 0, y: 10}, {x: 0, y: 0}, {x: 10, y: 0}]]);
+
+  // object mode keeps the paths the eraser touches, area mode the part of the polygon under the eraser
+  test.deepEqual(eraseObjects([segment(), far()], [{x: 50, y: 0}], 10, {crop: true}).removed, [1]);
+  test.equal(erase([square], [{x: 500, y: 50}], 10, {mode: 'area', crop: true}).length, 0);
+  var band = erase([square], [{x: 0, y: 50}, {x: 100, y: 50}], 10, {mode: 'area', crop: true});
+  test.equal(band.length, 1);
+  test.deepEqual(band[0].coords.map(function(p) { return [Math.round(p.x), Math.round(p.y)]; }),
+                 [[100, 40], [100, 60], [0, 60], [0, 40]]);
+
+  // the index has to drop the paths far from the eraser too
+  var index = new EraseIndex([segment(), far()]);
+  test.deepEqual(coords(index.erase([{x: 50, y: 0}], 10, {crop: true})), [[{x: 40, y: 0}, {x: 60, y: 0}]]);
+  test.done();
+}
+
+exports['keep metadata and lineage of fragments'] = function(test) {
+  var path = {id: 's1', 'stroke-width': 3, visible: true, style: {dash: [1, 2]},
+              coords: [{x: 0, y: 0}, {x: 50, y: 0}, {x: 100, y: 0}]};
+  var res = erase([path], [{x: 25, y: 0}], 5);
+  test.equal(res.length, 2);
+  test.equal(res[1]['stroke-width'], 3);
+  test.equal(res[1].visible, true);
+  test.deepEqual(res[1].style, {dash: [1, 2]});
+  test.notEqual(res[1].style, path.style);
+  test.deepEqual(res.map(function(p) { return [p.parentId, p.fragmentIndex, p.coordRange]; }),
+                 [['s1', 0, [0, 0.4]], ['s1', 1, [0.6, 2]]]);
+
+  // the fragments of a fragment point back into the original path
+  var again = erase([res[1]], [{x: 75, y: 0}], 5);
+  test.deepEqual(again.map(function(p) { return [p.parentId, p.fragmentIndex]; }), [['s1', 0], ['s1', 1]]);
+  test.ok(Math.abs(again[0].coordRange[1] - 1.4) < 1e-9 && Math.abs(again[1].coordRange[0] - 1.6) < 1e-9);
+
+  // the range of a closed path runs on past its last point
+  var square = {closed: true, coords: [{x: 0, y: 0}, {x: 40, y: 0}, {x: 40, y: 40}, {x: 0, y: 40}]};
+  test.deepEqual(erase([square], [{x: 20, y: 0}], 5)[0].coordRange, [0.625, 4.375]);
+
+  // a custom clone
+  res = erase([path], [{x: 25, y: 0}], 5, {clone: function(p) { return {id: p.id + '-copy'}; }});
+  test.deepEqual(Object.keys(res[0]).sort(), ['coordRange', 'coords', 'fragmentIndex', 'id', 'parentId']);
+  test.equal(res[0].id, 's1-copy');
+  test.done();
+}
+
+exports['interpolate point values at cuts'] = function(test) {
+  var path = {coords: [{x: 0, y: 0, pressure: 0, t: 100, color: 'red'}, {x: 50, y: 0, pressure: 1, t: 200, color: 'blue'}]};
+  var res = erase([path], [{x: 20, y: 0}], 5);
+  test.deepEqual(res[0].coords[1], {x: 15, y: 0, pressure: 0.3, t: 130, color: 'red'});
+  test.deepEqual(res[1].coords[0], {x: 25, y: 0, pressure: 0.5, t: 150, color: 'blue'});
+  test.deepEqual(path.coords[1], {x: 50, y: 0, pressure: 1, t: 200, color: 'blue'});
+
+  res = erase([path], [{x: 20, y: 0}], 5, {interpolate: function(name, a, b, t) { return a + '-' + b; }});
+  test.equal(res[0].coords[1].color, 'red-blue');
+
+  // the closing segment of a closed path runs back to the values of the first point
+  var square = {closed: true, coords: [{x: 0, y: 0, w: 0}, {x: 40, y: 0, w: 1}, {x: 40, y: 40, w: 2}, {x: 0, y: 40, w: 3}]};
+  res = erase([square], [{x: 0, y: 20}], 5);
+  test.equal(res[0].coords[0].w, 1.125);
+  test.equal(res[0].coords[res[0].coords.length - 1].w, 1.875);
+  test.done();
+}
+
+exports['reject invalid input'] = function(test) {
+  var failure = function(f) {
+    try {
+      f();
+    } catch (e) {
+      test.ok(e instanceof EraseInputError);
+      return [e.code, e.pathIndex, e.pointIndex];
+    }
+    return null;
+  };
+  var segment = {coords: [{x: 0, y: 0}, {x: 40, y: 0}]};
+
+  test.deepEqual(failure(function() { erase([[[0, 0], [40, 0]], segment], [[20, 0]], 10); }), ['MIXED_FORMATS', 1, null]);
+  test.deepEqual(failure(function() { erase([segment], [], 10); }), ['EMPTY_ERASE_PATH', null, null]);
+  test.deepEqual(failure(function() { erase([segment, {coords: [{x: 0, y: 0}, {x: NaN, y: 5}]}], [{x: 20, y: 0}], 10); }),
+                 ['INVALID_POINT', 1, 1]);
+  test.deepEqual(failure(function() { erase([segment], [{x: 20, y: 0}, {x: 30}], 10); }), ['INVALID_POINT', null, 1]);
+  test.deepEqual(failure(function() { erase([{coords: []}], [{x: 20, y: 0}], 10); }), ['EMPTY_PATH', 0, null]);
+
+  // paths the eraser does not touch come back as the arrays that were passed in
+  var far = [[0, 50], [40, 50]];
+  var res = erase([[[0, 0], [40, 0]], far], [{x: 20, y: 0}], 10);
+  test.deepEqual(res, [[[0, 0], [10, 0]], [[30, 0], [40, 0]], far]);
+  test.equal(res[2], far);
+  test.done();
+}
+
+exports['options object'] = function(test) {
+  var segment = {id: 1, coords: [{x: 0, y: 0}, {x: 40, y: 0}]};
+  var points = function(paths) { return paths.map(function(path) { return path.coords; }); };
+
+  // a radius of 0 means the default of 20 when it is given on its own, but stays 0 in the options object
+  test.deepEqual(erase([segment], [{x: 20, y: 0}], 0), []);
+  test.deepEqual(erase([segment], [{x: 20, y: 0}], {radius: 0}), [segment]);
+  test.deepEqual(points(erase([segment], [{x: 20, y: 0}], {radius: 5})), points(erase([segment], [{x: 20, y: 0}], 5)));
+
+  // epsilon decides whether a line that only just gets into the eraser is cut
+  test.equal(erase([segment], [{x: 20, y: 4.9999}], {radius: 5}).length, 2);
+  test.deepEqual(points(erase([segment], [{x: 20, y: 4.9999}], {radius: 5, epsilon: 0.1})), points([segment]));
+
+  // the short fragment at the start is dropped, the points of the others are rounded
+  test.deepEqual(points(erase([segment], [{x: 3, y: 0}], {radius: 5, minLength: 3})), [[{x: 8, y: 0}, {x: 40, y: 0}]]);
+  test.deepEqual(points(erase([segment], [{x: 20, y: 3}], {radius: 5, precision: 2})),
+                 [[{x: 0, y: 0}, {x: 16, y: 0}], [{x: 24, y: 0}, {x: 40, y: 0}]]);
+  test.deepEqual(segment.coords, [{x: 0, y: 0}, {x: 40, y: 0}]);
+
+  // the format of the result can differ from that of the paths
+  test.deepEqual(erase([segment], [{x: 20, y: 3}], {radius: 5, format: 'array'}), [[[0, 0], [16, 0]], [[24, 0], [40, 0]]]);
+  test.deepEqual(points(erase([[[0, 0], [40, 0]]], [[20, 3]], {radius: 5, format: 'object'})),
+                 [[{x: 0, y: 0}, {x: 16, y: 0}], [{x: 24, y: 0}, {x: 40, y: 0}]]);
+
+  test.throws(function() { erase([segment], [{x: 20, y: 0}], {radius: -1}); }, EraseInputError);
+  test.throws(function() { erase([segment], [{x: 20, y: 0}], {format: 'svg'}); }, EraseInputError);
+  test.throws(function() { erase([segment], [{x: 20, y: 0}], {precision: NaN}); }, EraseInputError);
+  test.done();
+}
+
+exports['erase flat paths in a worker'] = function(test) {
+  var paths = [
+    {coords: [{x: 0, y: 0}, {x: 40, y: 0}]},
+    {coords: [{x: 0, y: 50}, {x: 40, y: 50}]},
+    {closed: true, coords: [{x: 0, y: 0}, {x: 10, y: 0}, {x: 10, y: 10}]}
+  ];
+  var points = function(paths) { return paths.map(function(path) { return path.coords; }); };
+  var flat = flatErase.packPaths(paths);
+  test.deepEqual(Array.from(flat.offsets), [0, 2, 4, 7]);
+  test.deepEqual(flatErase.unpackPaths(flat), paths);
+
+  // the same paths are left as erase() leaves, with where they come from
+  var result = flatErase.eraseFlat(flat, new Float64Array([20, 0]), {radius: 5});
+  test.deepEqual(points(flatErase.unpackPaths(result)), points(erase(paths, [{x: 20, y: 0}], {radius: 5})));
+  test.deepEqual(Array.from(result.sources), [0, 0, 1, 2]);
+  test.deepEqual(Array.from(result.ranges), [0, 0.375, 0.625, 1, 0, 1, 0, 3]);
+  test.deepEqual([Array.from(result.unchanged), Array.from(result.deleted), Array.from(result.replaced)], [[1, 2], [], [0]]);
+
+  var worker = new flatErase.EraseWorker();
+  worker.erase(flat, new Float64Array([20, 0]), {radius: 5}, true).then(function(fromWorker) {
+    test.equal(flat.coords.length, 0);
+    test.deepEqual(fromWorker, result);
+    return worker.erase(flatErase.packPaths(paths), [{x: 20, y: 0}], -1);
+  }).then(function() {
+    test.ok(false);
+  }, function(error) {
+    test.ok(error instanceof EraseInputError);
+    test.equal(error.code, 'INVALID_RADIUS');
+    // transfer can follow a radius as well
+    var packed = flatErase.packPaths(paths);
+    return worker.erase(packed, [{x: 20, y: 0}], 5, true).then(function(fromWorker) {
+      test.equal(packed.coords.length, 0);
+      test.deepEqual(fromWorker, result);
+    });
+  }).then(function() {
+    // a worker that stops does not leave its promises pending, nor those of later calls
+    worker.worker.terminate();
+    return worker.erase(flatErase.packPaths(paths), [{x: 20, y: 0}], 5);
+  }).then(function() {
+    test.ok(false);
+  }, function(error) {
+    test.ok(/stopped/.test(error.message));
+    return worker.erase(flatErase.packPaths(paths), [{x: 20, y: 0}], 5);
+  }).then(function() {
+    test.ok(false);
+  }, function(error) {
+    test.ok(/stopped/.test(error.message));
+  }).then(function() {
+    worker.terminate();
+    test.done();
+  });
+}
+
+exports['erase flat paths in place of path objects'] = function(test) {
+  var paths = [
+    {coords: [{x: 0, y: 0}, {x: 40, y: 0}, {x: 40, y: 40}, {x: 0, y: 40}]},
+    {closed: true, coords: [{x: 10, y: 10}, {x: 30, y: 10}, {x: 30, y: 30}, {x: 10, y: 30}]},
+    {coords: [{x: 20, y: 20}]}
+  ];
+  var round = function(value) { return +value.toFixed(9); };
+  var points = function(paths) {
+    return paths.map(function(path) {
+      return path.coords.map(function(point) { return [round(point.x), round(point.y)]; });
+    });
+  };
+  var lasso = [{x: 5, y: 5}, {x: 35, y: 5}, {x: 35, y: 35}, {x: 5, y: 35}];
+
+  // the same parts are left as eraseChanges() leaves, from the same paths and at the same positions along them
+  [
+    [[{x: 20, y: -5}, {x: 20, y: 45}], {radius: 3}],
+    [[{x: 10, y: 10, r: 2}, {x: 30, y: 10, r: 6}], {radius: 3}],
+    [[{x: 20, y: -5}, {x: 20, y: 45}], {radius: 3, crop: true}],
+    [[{x: 20, y: -5}, {x: 20, y: 45}], {radius: 3, mode: 'object'}],
+    [lasso, {radius: 0, mode: 'lasso', crop: true}],
+    [[{x: 10, y: 0}, {x: 30, y: 0}], {radius: 4, shape: rectangleEraser(6, 6)}],
+    [[{x: 40, y: 0}, {x: 80, y: 0}], {radius: 2, transform: {a: 2, b: 0, c: 0, d: 1, e: 0, f: 0}}],
+    [[{x: 20, y: 0}], {radius: 5, minLength: 16, precision: 1}],
+    [[{x: 10, y: 10}], {radius: 1}]
+  ].forEach(function(call) {
+    var changes = eraseChanges(paths, call[0], call[1]),
+      result = flatErase.eraseFlat(flatErase.packPaths(paths), call[0], call[1]);
+    test.deepEqual(points(flatErase.unpackPaths(result)), points(changes.paths));
+    test.deepEqual(Array.from(result.ranges).map(round), [].concat.apply([], changes.paths.map(function(path) {
+      var range = path.coordRange || [0, path.closed ? path.coords.length : path.coords.length - 1];
+      return range.map(round);
+    })));
+    test.deepEqual([Array.from(result.unchanged), Array.from(result.deleted), Array.from(result.replaced)],
+      [changes.unchanged, changes.deleted, changes.replaced.map(function(replacement) { return replacement.source; })]);
+  });
+
+  var flat = flatErase.packPaths(paths);
+  flat.coords[3] = NaN;
+  test.throws(function() { flatErase.eraseFlat(flat, [{x: 0, y: 0}], 5); }, function(error) {
+    return error.code === 'INVALID_POINT' && error.pathIndex === 0 && error.pointIndex === 1;
+  });
+  test.throws(function() {
+    flatErase.eraseFlat(flatErase.packPaths(paths), [{x: 0, y: 0}], {locked: ['background']});
+  }, EraseInputError);
+  test.done();
+}
+
+exports['erase paths with transforms'] = function(test) {
+  var points = function(paths) {
+    return paths.map(function(path) {
+      return path.coords.map(function(point) { return [+point.x.toFixed(9), +point.y.toFixed(9)]; });
+    });
+  };
+  var zoom = {a: 2, b: 0, c: 0, d: 2, e: 100, f: 0},
+    stretch = {a: 1, b: 0, c: 0, d: 4, e: 0, f: 0};
+
+  // the eraser at x = 120 with a radius of 5 covers 7.5 to 12.5 of a path zoomed by 2 and moved by 100
+  var res = erase([{transform: zoom, coords: [{x: 0, y: 0}, {x: 20, y: 0}]}], [{x: 120, y: 0}], 5);
+  test.deepEqual(points(res), [[[0, 0], [7.5, 0]], [[12.5, 0], [20, 0]]]);
+  test.equal(res[0].transform.a, 2);
+
+  // stretched along y the eraser is an ellipse, and its capsules swept ellipses
+  res = erase([{transform: stretch, coords: [{x: 0, y: -10}, {x: 0, y: 10}]}, {transform: stretch, coords: [{x: -10, y: 0}, {x: 10, y: 0}]}],
+              [{x: 0, y: 0}], 5);
+  test.deepEqual(points(res), [[[0, -10], [0, -1.25]], [[0, 1.25], [0, 10]], [[-10, 0], [-5, 0]], [[5, 0], [10, 0]]]);
+  res = erase([{transform: stretch, coords: [{x: 0, y: -10}, {x: 0, y: 10}]}], [{x: -20, y: 0}, {x: 20, y: 0}], 5);
+  test.deepEqual(points(res), [[[0, -10], [0, -1.25]], [[0, 1.25], [0, 10]]]);
+  res = erase([{transform: stretch, coords: [{x: 0, y: 0}, {x: 20, y: 0}, {x: 20, y: 5}, {x: 0, y: 5}]}], [{x: 10, y: -10}, {x: 10, y: 30}], 2,
+              {mode: 'area'});
+  test.deepEqual(points(res), [[[0, 0], [8, 0], [8, 5], [0, 5]], [[12, 0], [20, 0], [20, 5], [12, 5]]]);
+
+  // options.transform maps all paths after their own transforms
+  res = erase([{coords: [{x: 0, y: 0}, {x: 20, y: 0}]}], [{x: 20, y: 0}], {radius: 5, transform: {a: 2, b: 0, c: 0, d: 2, e: 0, f: 0}});
+  test.deepEqual(points(res), [[[0, 0], [7.5, 0]], [[12.5, 0], [20, 0]]]);
+  test.deepEqual(eraseObjects([{transform: zoom, coords: [{x: 0, y: 0}, {x: 20, y: 0}]}], [{x: 0, y: 0}], {radius: 5, transform: zoom}).removed, []);
+
+  var index = new EraseIndex([{transform: zoom, coords: [{x: 0, y: 0}, {x: 20, y: 0}]}], {cellSize: 16});
+  test.deepEqual(points(index.erase([{x: 120, y: 0}], 5)), [[[0, 0], [7.5, 0]], [[12.5, 0], [20, 0]]]);
+
+  test.throws(function() { erase([{transform: {a: 0, b: 0, c: 0, d: 0, e: 0, f: 0}, coords: [{x: 0, y: 0}]}], [{x: 0, y: 0}], 5); },
+              EraseInputError);
+  test.done();
+}
+
+exports['query what would be erased'] = function(test) {
+  var paths = [
+    {id: 'a', coords: [{x: 0, y: 0}, {x: 40, y: 0}]},
+    {coords: [{x: 0, y: 50}, {x: 40, y: 50}]},
+    {coords: [{x: 0, y: 10}, {x: 20, y: 10}, {x: 20, y: 30}]}
+  ];
+  var before = JSON.stringify(paths);
+
+  var hits = queryErase(paths, [{x: 20, y: 0}, {x: 20, y: 20}], 5);
+  test.deepEqual(hits.map(function(hit) { return [hit.index, hit.intervals]; }), [[0, [[0.375, 0.625]]], [2, [[0.75, 1.75]]]]);
+  test.equal(hits[0].id, 'a');
+  test.deepEqual(hits[0].pieces[0].coords, [{x: 15, y: 0}, {x: 25, y: 0}]);
+  test.deepEqual(hits[1].pieces[0].coords, [{x: 15, y: 10}, {x: 20, y: 10}, {x: 20, y: 25}]);
+  test.equal(JSON.stringify(paths), before);
+
+  // the intervals are along the points of the path asked about, also for a fragment
+  var fragment = erase([paths[0]], [{x: 30, y: 0}], 5)[0];
+  test.deepEqual(queryErase([fragment], [{x: 10, y: 0}], 5)[0].intervals, [[0.2, 0.6]]);
+  test.deepEqual(queryErase(paths, [{x: 20, y: 0}], {radius: 5, mode: 'object'}).map(function(hit) { return hit.intervals; }), [[[0, 1]]]);
+  test.deepEqual(queryErase(paths, [{x: 100, y: 100}], 5), []);
+
+  test.deepEqual(hitTest(paths, {x: 20, y: 6}, 7), [0, 2]);
+  test.deepEqual(hitTest(paths, {x: 20, y: 6}, 5), [2]);
+  test.done();
+}
+
+exports['locked paths'] = function(test) {
+  var paths = [
+    {layer: 'background', coords: [{x: 0, y: 0}, {x: 40, y: 0}]},
+    {tags: ['ink', 'template'], coords: [{x: 0, y: 5}, {x: 40, y: 5}]},
+    {coords: [{x: 0, y: -5}, {x: 40, y: -5}]},
+    {layer: 'background', coords: [{x: 0, y: 100}, {x: 40, y: 100}]}
+  ];
+
+  // locked paths pass through as they are, the others are cut
+  var res = erase(paths, [{x: 20, y: 0}], {radius: 8, locked: ['background', 'template']});
+  test.equal(res.length, 5);
+  test.equal(res[0], paths[0]);
+  test.equal(res[1], paths[1]);
+  test.equal(res[4], paths[3]);
+
+  // and the eraser tells which of them it touched
+  var changes = eraseChanges(paths, [{x: 20, y: 0}], {radius: 8, locked: function(path) { return path.layer === 'background'; }});
+  test.deepEqual([changes.unchanged, changes.deleted, changes.locked], [[0, 3], [], [0]]);
+  test.deepEqual(changes.replaced.map(function(replacement) { return replacement.source; }), [1, 2]);
+  var objects = eraseObjects(paths, [{x: 20, y: 0}], {radius: 8, locked: ['background']});
+  test.deepEqual([objects.removed, objects.locked], [[1, 2], [0]]);
+  test.equal(erase(paths, [{x: 20, y: 0}], {radius: 8, mode: 'area', locked: ['background', 'template']})[0], paths[0]);
+
+  // the locked paths are only hit tested, in every mode: the lasso encloses the first one, the eraser is inside the
+  //   square, and cropping does not touch what is far from the eraser
+  var lasso = [{x: -10, y: -10}, {x: 50, y: -10}, {x: 50, y: 2}, {x: -10, y: 2}],
+    square = {layer: 'background', coords: [{x: 0, y: 0}, {x: 40, y: 0}, {x: 40, y: 40}, {x: 0, y: 40}]};
+  test.deepEqual(eraseChanges(paths, lasso, {mode: 'lasso', locked: ['background']}).locked, [0]);
+  test.deepEqual(eraseChanges([square, paths[3]], [{x: 20, y: 20}], {radius: 5, mode: 'area', locked: ['background']}).locked, [0]);
+  test.deepEqual(eraseChanges(paths, [{x: 20, y: 0}], {radius: 8, crop: true, locked: ['background']}).locked, [0]);
+
+  test.throws(function() { erase(paths, [{x: 20, y: 0}], {locked: 'background'}); }, EraseInputError);
+  test.done();
+}
+
+exports['erase an svg file'] = function(test) {
+  test.deepEqual(svgPath.parseTransform('translate(10) scale(2 3)'), {a: 2, b: 0, c: 0, d: 3, e: 10, f: 0});
+  var m = svgPath.parseTransform('rotate(90, 10, 10)');
+  test.ok(Math.abs(m.a * 10 + m.c * 10 + m.e - 10) < 1e-9 && Math.abs(m.b * 10 + m.d * 10 + m.f - 10) < 1e-9);
+  ['scale()', 'rotate(1, 2)', 'translate(1', 'skewX(a)', 'spin(45)'].forEach(function(transform) {
+    test.throws(function() { svgPath.parseTransform(transform); }, /Invalid/);
+  });
+
+  var svg = '<svg xmlns="http://www.w3.org/2000/svg">\n' +
+    '<g transform="translate(10 0)"><line class="ink" x1="0" y1="50" x2="80" y2="50"/><path d="M0 10L10 10"></path></g>\n' +
+    '<defs><path d="M0 50L100 50"/></defs><!-- <path d="M0 50L100 50"/> -->\n</svg>';
+  var res = eraseSvg(svg, {radius: 5, strokes: [{points: [[50, 40], [50, 60]]}, {points: [[5, 10]], radius: 20}]});
+
+  // the line is cut where the eraser is after the translate of its group, and keeps its class as a path
+  test.equal(res.svg, '<svg xmlns="http://www.w3.org/2000/svg">\n' +
+    '<g transform="translate(10 0)"><path class="ink" d="M0,50L35,50M45,50L80,50"/></g>\n' +
+    '<defs><path d="M0 50L100 50"/></defs><!-- <path d="M0 50L100 50"/> -->\n</svg>');
+  test.deepEqual(res.summary, {elements: 2, cut: 1, deleted: 1});
+  test.equal(eraseSvg(svg, [{points: [[200, 200]]}]).svg, svg);
+  test.throws(function() { eraseSvg(svg, {strokes: [{radius: 5}]}); });
+  test.throws(function() { eraseSvg(svg, [{points: [[0, 0]], radius: -1}]); }, /stroke 0/);
+
+  // elements that draw nothing are left as they are, and the others are still erased
+  var empty = '<svg><polyline points=""/><path transform="scale(0)" d="M0 50L80 50"/><line x1="0" y1="50" x2="80" y2="50"/></svg>';
+  res = eraseSvg(empty, [{points: [[40, 50]], radius: 5}]);
+  test.equal(res.svg, '<svg><polyline points=""/><path transform="scale(0)" d="M0 50L80 50"/><path d="M0,50L35,50M45,50L80,50"/></svg>');
+  test.deepEqual(res.summary, {elements: 1, cut: 1, deleted: 0});
+  var invalid = '<svg><g transform="scale()"><line x1="0" y1="50" x2="80" y2="50"/></g></svg>';
+  test.equal(eraseSvg(invalid, [{points: [[40, 50]], radius: 5}]).svg, invalid);
+  test.done();
+}
+
+exports['record and replay erase calls'] = function(test) {
+  var cases = [],
+    record = function(testCase) { cases.push(testCase); },
+    paths = [[[0,0],[40,0]], [[0,50],[40,50]]];
+
+  // the inputs are recorded as they were given, and replaying them gives the same result
+  var res = erase(paths, [[20,0], [20,0]], 10, {record: record, precision: 2, clone: function(path) { return {}; }});
+  test.deepEqual(cases[0].paths, paths);
+  test.deepEqual(cases[0].erase_path, [[20,0], [20,0]]);
+  test.equal(cases[0].r, 10);
+  test.deepEqual(cases[0].options, {precision: 2});
+  test.deepEqual(cases[0].unrecorded, ['clone']);
+  test.deepEqual(cases[0].result, res);
+  test.equal(replayCase(cases[0]), null);
+
+  // eraseChanges records its calls as erase() would have returned them, and errors are recorded as well
+  eraseChanges(paths, [[20,0]], {radius: 10, record: record});
+  test.equal(cases.length, 2);
+  test.deepEqual(cases[1].result, [[[0,0],[10,0]], [[30,0],[40,0]], [[0,50],[40,50]]]);
+  test.throws(function() { erase([[[0,0]]], [], {record: record}); }, EraseInputError);
+  test.equal(cases[2].error.code, 'EMPTY_ERASE_PATH');
+  test.equal(replayCase(cases[2]), null);
+
+  // the radius is recorded as it was given, and options in its place stay options
+  erase(paths, [[20,0]], 0, {record: record});
+  test.strictEqual(cases[3].r, 0);
+  test.equal(cases[3].options, undefined);
+  test.equal(replayCase(cases[3]), null);
+  erase(paths, [[20,0]], {radius: 5, record: record});
+  test.ok(!('r' in cases[4]));
+  test.deepEqual(cases[4].options, {radius: 5});
+  test.equal(replayCase(JSON.parse(JSON.stringify(cases[4]))), null);
+  erase(paths, [[20,0]], undefined, {record: record});
+  test.equal(replayCase(JSON.parse(JSON.stringify(cases[5]))), null);
+
+  // a result that comes out differently is reported where it differs
+  cases[1].result[1][0][0] = 31;
+  test.equal(replayCase(cases[1]), 'result[1][0][0] is 30, recorded 31');
+  test.throws(function() { erase(paths, [[20,0]], {record: true}); }, EraseInputError);
+  test.done();
+}
+
+// a stand-in for the few parts of the DOM svgEraser uses
+function FakeElement(tagName, attributes) {
+  this.tagName = tagName;
+  this.attributes = [];
+  this.childNodes = [];
+  this.parentNode = null;
+  this.style = {};
+  this.listeners = {};
+  this.events = [];
+  for (var name in attributes) this.setAttribute(name, attributes[name]);
+}
+FakeElement.prototype.getAttribute = function(name) {
+  var found = this.attributes.filter(function(attribute) { return attribute.name === name; })[0];
+  return found ? found.value : null;
+};
+FakeElement.prototype.setAttribute = function(name, value) {
+  var found = this.attributes.filter(function(attribute) { return attribute.name === name; })[0];
+  if (found) found.value = String(value);
+  else this.attributes.push({name: name, value: String(value)});
+};
+FakeElement.prototype.appendChild = function(child) {
+  child.parentNode = this;
+  this.childNodes.push(child);
+};
+FakeElement.prototype.insertBefore = function(child, before) {
+  child.parentNode = this;
+  this.childNodes.splice(this.childNodes.indexOf(before), 0, child);
+};
+FakeElement.prototype.removeChild = function(child) {
+  child.parentNode = null;
+  this.childNodes.splice(this.childNodes.indexOf(child), 1);
+};
+FakeElement.prototype.querySelectorAll = function(selector) {
+  var tags = selector.split(',').map(function(tag) { return tag.trim(); });
+  return this.childNodes.filter(function(child) { return tags.indexOf(child.tagName) !== -1; });
+};
+// the page shows the drawing at twice its size
+FakeElement.prototype.getScreenCTM = function() {
+  return {a: 2, b: 0, c: 0, d: 2, e: 0, f: 0, inverse: function() { return {a: 0.5, b: 0, c: 0, d: 0.5, e: 0, f: 0}; }};
+};
+FakeElement.prototype.setPointerCapture = function() {};
+FakeElement.prototype.addEventListener = function(type, listener) { this.listeners[type] = listener; };
+FakeElement.prototype.removeEventListener = function(type) { delete this.listeners[type]; };
+FakeElement.prototype.dispatchEvent = function(event) { this.events.push(event); };
+
+exports['erase svg elements with pointer events'] = function(test) {
+  var svg = new FakeElement('svg'),
+    path = new FakeElement('path', {d: 'M0 0L40 0', stroke: 'blue'}),
+    line = new FakeElement('line', {x1: 0, y1: 30, x2: 40, y2: 30, 'class': 'ink'}),
+    dot = new FakeElement('path', {d: 'M100 100L101 100'});
+  [path, line, dot].forEach(function(element) { svg.appendChild(element); });
+  global.document = {createElementNS: function(ns, tagName) { return new FakeElement(tagName); }};
+
+  // the document is only faked for this test, so it goes again whatever happens
+  try {
+    // the pointer is in screen pixels, where the drawing is twice as large
+    var eraser = svgEraser(svg, {radius: 10}),
+      pointer = function(type, x, y) { svg.listeners[type]({type: type, button: 0, pointerId: 1, clientX: x, clientY: y}); };
+    pointer('pointerdown', 40, -20);
+    pointer('pointermove', 40, 80);
+    pointer('pointermove', 201, 200);
+    pointer('pointerup', 201, 200);
+
+    // the path is cut, the line becomes a path with its attributes, and the dot is gone
+    test.equal(path.getAttribute('d'), 'M0,0L15,0M25,0L40,0');
+    var added = svg.childNodes[1];
+    test.equal(added.tagName, 'path');
+    test.equal(added.getAttribute('class'), 'ink');
+    test.equal(added.getAttribute('x1'), null);
+    test.equal(added.getAttribute('d'), 'M0,30L15,30M25,30L40,30');
+    test.equal(svg.childNodes.indexOf(line), -1);
+    test.equal(svg.childNodes.indexOf(dot), -1);
+
+    var types = svg.events.map(function(event) { return event.type; }),
+      detail = svg.events[1].detail;
+    test.deepEqual(types, ['erasestart', 'eraseend']);
+    test.deepEqual(detail.changed, [path, line, dot]);
+    test.deepEqual(detail.added, [added]);
+    test.deepEqual(detail.removed, [line, dot]);
+    test.equal(detail.erasePath.length, 3);
+
+    eraser.destroy();
+    test.deepEqual(Object.keys(svg.listeners), []);
+    test.equal(svg.childNodes.length, 2);
+  } finally {
+    delete global.document;
+  }
+  test.done();
+}